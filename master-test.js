@@ -5,9 +5,12 @@
  */
 import { EuronextScraper } from './src/scraper.js';
 import { WebflowClient } from './src/webflow.js';
+import { resolveIssuers, buildIssuerConfig } from './src/utils.js';
 import { readFileSync } from 'fs';
 
-const config = JSON.parse(readFileSync('./config/schedule.json', 'utf8'));
+// Load configuration for the first configured issuer
+const rawConfig = JSON.parse(readFileSync('./config/schedule.json', 'utf8'));
+const config = buildIssuerConfig(rawConfig, resolveIssuers(rawConfig)[0]);
 
 async function masterTest() {
   console.log('🧪 MASTER TEST - Complete System Verification');
@@ -61,6 +64,7 @@ async function masterTest() {
     console.log('\n4️⃣ Testing Euronext Scraping...');
     const scraper = new EuronextScraper(config);
     const releases = await scraper.getLatestReleases(3);
+    await scraper.close();
     
     if (releases.length === 0) {
       console.log('   ⚠️  No releases found (likely outside date filter or no new releases)');
@@ -103,7 +107,7 @@ async function masterTest() {
         console.log('   ✅ Successfully created test item in Webflow');
         console.log(`   ✅ Item ID: ${uploadResults.created[0].webflowItem.id}`);
         console.log(`   ✅ Draft status: ${uploadResults.created[0].webflowItem.isDraft}`);
-        console.log(`   ✅ Read-more link: https://live.euronext.com/en/listview/company-press-release/62020?page=0`);
+        console.log(`   ✅ Read-more link: ${config.webflow.readMoreUrl}`);
         results.webflowUploadTest = true;
       } else if (uploadResults.skipped.length > 0) {
         console.log('   ✅ Item already exists (duplicate detection working)');
@@ -0,0 +1,1245 @@
+import dotenv from 'dotenv';
+import { EuronextScraper } from './scraper.js';
+import { WebflowClient } from './webflow.js';
+import { BrowserPool } from './browser.js';
+import { RateLimitedHttpClient } from './http.js';
+import { createStateStore } from './state.js';
+import { RunLock } from './lock.js';
+import { createSchedule, evaluateSchedule } from './schedule.js';
+import { Notifier } from './notifier.js';
+import { DigestSender } from './digest.js';
+import { metrics, pushMetrics } from './metrics.js';
+import { loadConfig, resolveIssuers, buildIssuerConfig, computeContentHash, generateReleaseId, generateRunId, getReleaseKey, parseReleaseDateKey, withLogContext, Logger } from './utils.js';
+
+// Load environment variables
+dotenv.config();
+
+// Bumped when stored release IDs need recomputing; 2 derives the date from the release date text
+const RELEASE_ID_FORMAT = 2;
+
+// What happens to the Webflow item of a withdrawn release: archived, back to draft, or only logged
+export const WITHDRAWAL_ACTIONS = ['archive', 'unpublish', 'report'];
+
+/**
+ * Release fields included in notifications
+ */
+function summarizeRelease(release) {
+  return {
+    id: release.id,
+    title: release.title,
+    url: release.url,
+    dateText: release.dateText,
+    publishDate: release.publishDate
+  };
+}
+
+/**
+ * Scrapes every configured issuer and publishes new and corrected releases to Webflow
+ */
+export class PressReleaseAutomation {
+  constructor() {
+    this.config = null;
+    this.logger = null;
+    this.issuers = [];
+    this.browserPool = null;
+    this.stateStore = null;
+    this.schedule = null;
+    this.notifier = null;
+    this.digest = null;
+    this.readOnly = false;
+  }
+
+  async initialize() {
+    try {
+      // Load configuration
+      this.config = await loadConfig();
+      this.logger = new Logger(this.config.logging, { component: 'automation' });
+      this.notifier = new Notifier(this.config, this.logger.child({ component: 'notifier' }));
+      this.digest = new DigestSender(this.config, this.logger.child({ component: 'digest' }));
+
+      // Validated up front so a bad timezone or window fails at startup
+      this.schedule = createSchedule(this.config.schedule);
+      this.getWithdrawalSettings();
+
+      this.stateStore = createStateStore(this.config);
+      this.logger.info(`Using state store: ${this.stateStore.description}`);
+
+      // One browser is shared by all issuers for the whole run
+      this.browserPool = new BrowserPool(this.config, this.logger.child({ component: 'browser' }));
+
+      // All issuers write with the same API token, so they share its rate limit
+      const webflowHttp = new RateLimitedHttpClient(this.config, this.logger.child({ component: 'webflow' }));
+
+      // Initialize services for every configured issuer
+      this.issuers = resolveIssuers(this.config).map(issuer => {
+        const issuerConfig = buildIssuerConfig(this.config, issuer);
+        return {
+          issuer,
+          config: issuerConfig,
+          scraper: new EuronextScraper(issuerConfig, { browserPool: this.browserPool }),
+          webflow: new WebflowClient(issuerConfig, { http: webflowHttp })
+        };
+      });
+
+      // Verify each issuer's field mapping against its target collection
+      for (const { webflow } of this.issuers) {
+        await webflow.validateFieldMapping();
+      }
+      
+      this.logger.info(`Automation initialized successfully for ${this.issuers.length} issuer(s): ${this.issuers.map(i => i.issuer.id).join(', ')}`);
+    } catch (error) {
+      const message = `Failed to initialize automation: ${error.message}`;
+      await this.notifier?.notify('run.failed', { error: message });
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Load only the configuration and state store, for commands that read the processed state
+   * (no browser, Webflow credentials or network needed)
+   */
+  async initializeReadOnly() {
+    this.config = await loadConfig();
+    this.logger = new Logger(this.config.logging, { component: 'automation' });
+    this.stateStore = createStateStore(this.config);
+    this.issuers = resolveIssuers(this.config).map(issuer => ({ issuer }));
+    this.readOnly = true;
+  }
+
+  /**
+   * Create empty processed state for a single issuer
+   */
+  createIssuerState() {
+    return {
+      lastProcessed: null,
+      processedReleases: [],
+      stats: {
+        totalProcessed: 0,
+        lastRunTime: null,
+        errors: []
+      }
+    };
+  }
+
+  /**
+   * Get (and lazily create) the processed state of an issuer
+   */
+  getIssuerState(processedData, issuerId) {
+    if (!processedData.issuers[issuerId]) {
+      processedData.issuers[issuerId] = this.createIssuerState();
+    }
+    return processedData.issuers[issuerId];
+  }
+
+  /**
+   * Load processed releases data
+   */
+  async loadProcessedData() {
+    // Read failures propagate: starting fresh on a transient error would republish everything
+    const data = await this.stateStore.load();
+
+    if (!data) {
+      this.logger.warn('No processed data found, starting fresh');
+      return { issuers: {}, releaseIdFormat: RELEASE_ID_FORMAT };
+    }
+
+    // Migrate the single-issuer format into the first configured issuer
+    if (!data.issuers) {
+      const legacyIssuerId = this.issuers[0]?.issuer.id || 'default';
+      this.logger.info(`Migrating legacy processed data to issuer "${legacyIssuerId}"`);
+      return this.migrateReleaseIds({
+        issuers: {
+          [legacyIssuerId]: {
+            lastProcessed: data.lastProcessed || null,
+            processedReleases: data.processedReleases || [],
+            stats: { ...this.createIssuerState().stats, ...data.stats }
+          }
+        }
+      });
+    }
+
+    return this.migrateReleaseIds(data);
+  }
+
+  /**
+   * Recompute release IDs stored before they were derived from the release date.
+   * Those IDs fell back to the day the release was scraped, since Euronext dates did not parse.
+   * Records stored without a dateText keep their ID: recomputing it would give every release
+   * with the same title the same undated ID.
+   */
+  migrateReleaseIds(data) {
+    if (data.releaseIdFormat === RELEASE_ID_FORMAT) return data;
+
+    for (const [issuerId, issuerState] of Object.entries(data.issuers)) {
+      let migrated = 0;
+      for (const record of issuerState.processedReleases || []) {
+        if (!record.dateText) continue;
+
+        const id = generateReleaseId(record.title || '', record.dateText);
+        if (record.id !== id) {
+          record.id = id;
+          // The old ID may be stored in Webflow too (webflow.releaseIdField); a run rewrites it
+          if (record.webflowId) record.releaseIdStale = true;
+          migrated++;
+        }
+      }
+      if (migrated > 0) {
+        this.logger.info(`Migrated ${migrated} release IDs for issuer "${issuerId}" to the release date`);
+      }
+    }
+    data.releaseIdFormat = RELEASE_ID_FORMAT;
+    return data;
+  }
+
+  /**
+   * Save processed releases data
+   */
+  async saveProcessedData(data) {
+    try {
+      await this.stateStore.save(data);
+      this.logger.debug('Processed data saved successfully');
+    } catch (error) {
+      this.logger.error('Failed to save processed data:', error.message);
+    }
+  }
+
+  /**
+   * Run a function while holding the run lock in the state store.
+   * Returns false without running it when another run holds the lock.
+   */
+  async withRunLock(fn, { dryRun = false } = {}) {
+    // A dry run writes nothing, so it neither needs nor takes the lock
+    if (dryRun) {
+      await fn({ lost: false });
+      return true;
+    }
+
+    const lock = new RunLock(this.stateStore, this.config.lock, this.logger.child({ component: 'lock' }));
+    if (!await lock.acquire()) {
+      return false;
+    }
+
+    try {
+      await fn(lock);
+      return true;
+    } finally {
+      await lock.release();
+    }
+  }
+
+  /**
+   * Give scraped releases the ID of their processed record, matched on node ID.
+   * A corrected title or date changes the title-based ID, but it is still the same release.
+   */
+  matchProcessedReleases(releases, issuerState) {
+    const recordsByKey = new Map(issuerState.processedReleases.map(record => [getReleaseKey(record), record]));
+
+    return releases.map(release => {
+      const record = recordsByKey.get(getReleaseKey(release));
+      if (!record || record.id === release.id) return release;
+
+      this.logger.info(`Matched ${release.title} to processed release ${record.id} (title or date changed)`);
+      return { ...release, id: record.id };
+    });
+  }
+
+  /**
+   * Write migrated release IDs to `webflow.releaseIdField` of their items, so the duplicate
+   * check finds them by ID again. Returns true when the state changed.
+   */
+  async repairReleaseIds(webflow, issuerState, { dryRun = false } = {}) {
+    const stale = issuerState.processedReleases.filter(record => record.releaseIdStale);
+    if (stale.length === 0 || dryRun) return false;
+
+    const failures = webflow.releaseIdField
+      ? await webflow.writeReleaseIds(stale.map(record => ({ itemId: record.webflowId, releaseId: record.id })))
+      : new Map();
+
+    for (const record of stale) {
+      if (failures.has(record.webflowId)) {
+        this.logger.warn(`Could not write release ID to item ${record.webflowId}, trying again next run: ${failures.get(record.webflowId)}`);
+      } else {
+        delete record.releaseIdStale;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Filter out already processed releases
+   */
+  filterNewReleases(releases, issuerState) {
+    const processedIds = new Set(issuerState.processedReleases.map(r => r.id));
+    return releases.filter(release => !processedIds.has(release.id));
+  }
+
+  /**
+   * Find processed releases whose content changed since they were published.
+   * Records without a stored hash (created before hashing) get a baseline hash instead.
+   */
+  filterUpdatedReleases(releases, issuerState) {
+    const recordsById = new Map(issuerState.processedReleases.map(r => [r.id, r]));
+    const updates = [];
+
+    for (const release of releases) {
+      const record = recordsById.get(release.id);
+      // Never overwrite published content with the placeholder body;
+      // incomplete items are completed by the content retry queue instead
+      if (!record || release.contentFallback || record.incomplete || record.withdrawal?.withdrawnAt) continue;
+
+      const contentHash = computeContentHash(release);
+      if (!record.contentHash) {
+        record.contentHash = contentHash;
+      } else if (record.contentHash !== contentHash && record.webflowId) {
+        this.logger.info(`Content changed for already processed release: ${release.title}`);
+        updates.push({ release, webflowId: record.webflowId, contentHash });
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Retry settings for releases that only got the placeholder body
+   */
+  getIncompleteContentSettings() {
+    const settings = this.config.incompleteContent || {};
+    return {
+      action: settings.action || 'draft',
+      retryIntervalMs: (settings.retryIntervalMinutes || 30) * 60 * 1000,
+      maxAttempts: settings.maxAttempts || 48
+    };
+  }
+
+  /**
+   * State kept on a record whose content is still the placeholder, so later runs can refetch it
+   */
+  incompleteFields(release) {
+    return {
+      incomplete: true,
+      nodeId: release.nodeId,
+      listPageUrl: release.listPageUrl,
+      contentRetry: {
+        attempts: 0,
+        nextAttemptAt: new Date(Date.now() + this.getIncompleteContentSettings().retryIntervalMs).toISOString()
+      }
+    };
+  }
+
+  /**
+   * With `incompleteContent.action: "hold"`, keep placeholder releases out of Webflow and queue them in the state
+   */
+  holdIncompleteReleases(releases, issuerState) {
+    if (this.getIncompleteContentSettings().action !== 'hold') return releases;
+
+    const ready = [];
+
+    for (const release of releases) {
+      if (!release.contentFallback) {
+        ready.push(release);
+      } else {
+        this.logger.warn(`Holding back release without content: ${release.title}`);
+        issuerState.processedReleases.push({
+          id: release.id,
+          title: release.title,
+          url: release.url,
+          dateText: release.dateText,
+          publishDate: release.publishDate,
+          held: true,
+          ...this.incompleteFields(release)
+        });
+      }
+    }
+
+    return ready;
+  }
+
+  /**
+   * Review state for a draft the automation publishes once the grace period has passed.
+   * `lastUpdated` is the item's own timestamp, so a later change by an editor can be told apart.
+   */
+  reviewFields(webflowItem) {
+    const gracePeriodMinutes = this.config.webflow.publishing?.gracePeriodMinutes ?? 60;
+    return {
+      review: {
+        publishAfter: new Date(Date.now() + gracePeriodMinutes * 60 * 1000).toISOString(),
+        lastUpdated: webflowItem.lastUpdated || null
+      }
+    };
+  }
+
+  /**
+   * Publish drafts in review whose grace period has passed. Drafts an editor has archived,
+   * published or edited meanwhile are left alone, and so are drafts whose release has gone
+   * missing from the Euronext list (a pending withdrawal). Returns true when the state changed.
+   */
+  async publishDueDrafts({ issuer, webflow }, issuerState, { dryRun = false } = {}) {
+    const now = new Date();
+    const due = issuerState.processedReleases.filter(record => record.review && !record.review.outcome
+      && !record.incomplete && !record.withdrawal && record.webflowId && new Date(record.review.publishAfter) <= now);
+    if (due.length === 0) return false;
+
+    const toPublish = [];
+    let changed = false;
+
+    for (const record of due) {
+      let item;
+      try {
+        item = await webflow.getItem(record.webflowId);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          this.logger.warn(`Could not check draft ${record.title} before publishing, trying again next run: ${error.message}`);
+          continue;
+        }
+        item = null;
+      }
+
+      const outcome = !item ? 'deleted'
+        : item.isArchived ? 'archived'
+        : !item.isDraft ? 'published'
+        : item.lastUpdated !== record.review.lastUpdated ? 'edited'
+        : null;
+
+      if (!outcome) {
+        toPublish.push(record);
+        continue;
+      }
+
+      this.logger.info(`Not auto-publishing ${record.title}: ${outcome} by an editor`);
+      if (!dryRun) {
+        record.review = { ...record.review, outcome, checkedAt: now.toISOString() };
+        if (outcome === 'published') record.isDraft = false;
+        changed = true;
+      }
+    }
+
+    if (toPublish.length === 0) return changed;
+    if (dryRun) {
+      for (const record of toPublish) {
+        this.logger.info(`[dry run] Would publish reviewed draft: ${record.title}`);
+      }
+      return false;
+    }
+
+    const issuerInfo = { id: issuer.id, name: issuer.name };
+    const failures = await webflow.publishDrafts(toPublish.map(record => record.webflowId));
+
+    for (const record of toPublish) {
+      if (failures.has(record.webflowId)) {
+        // Stays in review, so the next run tries again
+        const error = `Publish failed: ${failures.get(record.webflowId)}`;
+        this.logger.error(`Failed to publish reviewed draft ${record.title}: ${error}`);
+        issuerState.stats.errors = [...issuerState.stats.errors, { title: record.title, error, timestamp: now.toISOString() }].slice(-10);
+        await this.notifier.notify('item.failed', { issuer: issuerInfo, release: summarizeRelease(record), error });
+        continue;
+      }
+
+      this.logger.info(`Published reviewed draft: ${record.title}`);
+      record.isDraft = false;
+      record.review = { ...record.review, outcome: 'auto-published', publishedAt: now.toISOString() };
+      await this.notifier.notify('item.published', {
+        issuer: issuerInfo,
+        release: summarizeRelease(record),
+        item: { id: record.webflowId, isDraft: false }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Refetch queued releases whose content was the placeholder, when their retry is due.
+   * A fresh copy from the current list page is used when it already has content.
+   * Returns [{ record, release }] for the releases that now have real content.
+   */
+  async retryIncompleteContent(scraper, issuerState, freshReleases) {
+    const { retryIntervalMs, maxAttempts } = this.getIncompleteContentSettings();
+    const freshById = new Map(freshReleases.map(release => [release.id, release]));
+    const now = new Date();
+    const completed = [];
+
+    for (const record of issuerState.processedReleases) {
+      if (!record.incomplete || record.withdrawal?.withdrawnAt) continue;
+
+      const retryState = record.contentRetry || { attempts: 0 };
+      const due = !retryState.exhausted && (!retryState.nextAttemptAt || new Date(retryState.nextAttemptAt) <= now);
+      let release = freshById.get(record.id);
+
+      if (!release || release.contentFallback) {
+        if (!due) continue;
+
+        release = release || await withLogContext({ releaseId: record.id }, () => scraper.fetchPressReleaseContent({
+          id: record.id,
+          title: record.title,
+          url: record.url,
+          dateText: record.dateText,
+          nodeId: record.nodeId,
+          listPageUrl: record.listPageUrl
+        }));
+      }
+
+      if (release.contentFallback) {
+        const attempts = retryState.attempts + 1;
+        record.contentRetry = {
+          attempts,
+          lastAttemptAt: now.toISOString(),
+          nextAttemptAt: new Date(now.getTime() + retryIntervalMs).toISOString(),
+          ...(attempts >= maxAttempts ? { exhausted: true } : {})
+        };
+        metrics.contentRetries.inc({ issuer: scraper.issuerId, result: 'failed' });
+
+        if (attempts >= maxAttempts) {
+          this.logger.warn(`Giving up on content for ${record.title} after ${attempts} attempts`);
+        } else {
+          this.logger.info(`Content still unavailable for ${record.title} (attempt ${attempts} of ${maxAttempts})`);
+        }
+        continue;
+      }
+
+      this.logger.info(`Content now available for incomplete release: ${record.title}`);
+      metrics.contentRetries.inc({ issuer: scraper.issuerId, result: 'completed' });
+      completed.push({ record, release });
+    }
+
+    return completed;
+  }
+
+  /**
+   * Settings for withdrawing items whose release disappeared from Euronext.
+   * Throws on an unknown action, so initialize() rejects it at startup.
+   */
+  getWithdrawalSettings() {
+    const settings = this.config.withdrawals || {};
+    const action = settings.action || 'archive';
+    if (!WITHDRAWAL_ACTIONS.includes(action)) {
+      throw new Error(`Invalid withdrawals.action "${action}": must be one of ${WITHDRAWAL_ACTIONS.join(', ')}`);
+    }
+
+    return {
+      enabled: !!settings.enabled,
+      action,
+      lookbackDays: settings.lookbackDays || 14,
+      confirmations: settings.confirmations || 3,
+      maxPerRun: settings.maxPerRun || 5
+    };
+  }
+
+  /**
+   * Append an entry to the issuer's withdrawal audit trail (last 100 kept)
+   */
+  logWithdrawal(issuerState, record, result, error = null) {
+    issuerState.withdrawals = [...(issuerState.withdrawals || []), {
+      id: record.id,
+      title: record.title,
+      webflowId: record.webflowId || null,
+      action: this.getWithdrawalSettings().action,
+      result,
+      ...(error ? { error } : {}),
+      at: new Date().toISOString()
+    }].slice(-100);
+  }
+
+  /**
+   * Compare recent processed releases with the current Euronext list and withdraw the items of
+   * releases that are no longer listed. Only release dates the list fully covers are compared:
+   * later than its oldest listed day (which may continue on the next page) and within `lookbackDays`.
+   * A release has to be missing `confirmations` runs in a row before its item is withdrawn.
+   */
+  async syncWithdrawals({ issuer, webflow }, issuerState, listedReleases, { dryRun = false } = {}) {
+    const settings = this.getWithdrawalSettings();
+    if (!settings.enabled) return;
+
+    const listedDates = listedReleases.map(release => parseReleaseDateKey(release.dateText)).filter(Boolean).sort();
+    if (listedDates.length === 0) {
+      this.logger.warn('Skipping the withdrawal check: the Euronext list is empty');
+      return;
+    }
+
+    // Matched on node ID rather than the title-based ID, so a retitled release is still listed
+    const listedKeys = new Set(listedReleases.map(getReleaseKey));
+    const lookbackStart = new Date(Date.now() - settings.lookbackDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const now = new Date().toISOString();
+    const confirmed = [];
+
+    for (const record of issuerState.processedReleases) {
+      const date = parseReleaseDateKey(record.dateText);
+      if (!date || date <= listedDates[0] || date < lookbackStart) continue;
+
+      if (listedKeys.has(getReleaseKey(record))) {
+        if (record.withdrawal?.withdrawnAt) {
+          // Listed again after being withdrawn: restoring the item is left to an editor
+          if (!record.withdrawal.reappearedAt && !dryRun) {
+            this.logger.warn(`Withdrawn release is listed on Euronext again: ${record.title}`);
+            record.withdrawal.reappearedAt = now;
+            this.logWithdrawal(issuerState, record, 'reappeared');
+          }
+        } else if (record.withdrawal && !dryRun) {
+          delete record.withdrawal;
+        }
+        continue;
+      }
+
+      if (record.withdrawal?.withdrawnAt) continue;
+
+      const missingCount = (record.withdrawal?.missingCount || 0) + 1;
+      this.logger.info(`Release missing from the Euronext list (${missingCount} of ${settings.confirmations} checks): ${record.title}`);
+      if (!dryRun) {
+        record.withdrawal = { firstMissingAt: record.withdrawal?.firstMissingAt || now, missingCount };
+      }
+      if (missingCount >= settings.confirmations) confirmed.push(record);
+    }
+
+    if (confirmed.length === 0) return;
+
+    // Many releases vanishing at once points at a broken list page rather than withdrawals
+    if (confirmed.length > settings.maxPerRun) {
+      const error = `${confirmed.length} releases disappeared from the Euronext list at once, more than withdrawals.maxPerRun (${settings.maxPerRun}); nothing was withdrawn`;
+      this.logger.error(error);
+      if (!dryRun) {
+        issuerState.stats.errors = [...issuerState.stats.errors, { error, timestamp: now }].slice(-10);
+      }
+      return;
+    }
+
+    if (dryRun) {
+      for (const record of confirmed) {
+        this.logger.info(`[dry run] Would withdraw (${settings.action}): ${record.title}`);
+      }
+      return;
+    }
+
+    const items = [];
+    const lookupFailures = new Map();
+    for (const record of settings.action === 'report' ? [] : confirmed.filter(record => record.webflowId)) {
+      let live = record.isDraft === false;
+      // Records from before draft tracking don't say whether the item went live, so ask Webflow
+      if (record.isDraft === undefined) {
+        try {
+          live = !!(await webflow.getItem(record.webflowId)).lastPublished;
+        } catch (error) {
+          lookupFailures.set(record.webflowId, `Could not check whether the item is live: ${error.message}`);
+          continue;
+        }
+      }
+      items.push({ id: record.webflowId, live });
+    }
+
+    const failures = items.length === 0 ? new Map() : await webflow.withdrawItems(items, settings.action);
+    for (const [itemId, error] of lookupFailures) {
+      failures.set(itemId, error);
+    }
+    const issuerInfo = { id: issuer.id, name: issuer.name };
+
+    for (const record of confirmed) {
+      const error = record.webflowId && failures.get(record.webflowId);
+      if (error) {
+        // Stays confirmed, so the next run tries again
+        this.logger.error(`Failed to withdraw ${record.title}: ${error}`);
+        issuerState.stats.errors = [...issuerState.stats.errors, { title: record.title, error, timestamp: now }].slice(-10);
+        this.logWithdrawal(issuerState, record, 'failed', error);
+        await this.notifier.notify('item.failed', { issuer: issuerInfo, release: summarizeRelease(record), error });
+        continue;
+      }
+
+      this.logger.warn(`Release withdrawn on Euronext (${settings.action}): ${record.title}`);
+      record.withdrawal = { ...record.withdrawal, action: settings.action, withdrawnAt: now };
+      if (settings.action === 'unpublish' && record.webflowId) record.isDraft = true;
+      this.logWithdrawal(issuerState, record, 'withdrawn');
+      metrics.itemsWithdrawn.inc({ issuer: issuer.id, action: settings.action });
+      await this.notifier.notify('item.withdrawn', {
+        issuer: issuerInfo,
+        release: summarizeRelease(record),
+        item: { id: record.webflowId || null, action: settings.action }
+      });
+    }
+  }
+
+  /**
+   * Main execution function: one cycle, then release resources
+   */
+  async run(options = {}) {
+    try {
+      return await this.runCycle(options);
+    } finally {
+      await this.shutdown();
+    }
+  }
+
+  /**
+   * Process every issuer once.
+   * Options: testMode (ignore the schedule, fetch 3 releases), limit (releases fetched per issuer),
+   * dryRun (scrape and filter only, nothing is written to Webflow or state).
+   * Returns { skipped, failedIssuers, issuers }; the browser is closed afterwards but the state store stays open.
+   */
+  async runCycle({ testMode = false, limit = null, dryRun = false, runId = generateRunId() } = {}) {
+    return withLogContext({ runId }, async () => {
+      const cycleStartedAt = Date.now();
+      const modes = [testMode && 'TEST MODE', dryRun && 'DRY RUN'].filter(Boolean);
+      this.logger.info(`Starting press release automation ${modes.length ? `(${modes.join(', ')})` : ''}`);
+
+      // Check if within scheduled hours (skip in test mode and dry runs)
+      if (!testMode && !dryRun) {
+        const status = evaluateSchedule(this.schedule);
+        if (!status.active) {
+          this.logger.info(`Outside scheduled hours, skipping execution: ${status.reason}`);
+          metrics.runs.inc({ result: 'skipped' });
+          return { runId, skipped: true, reason: status.reason, failedIssuers: [], issuers: [] };
+        }
+        this.logger.debug(`Within schedule: ${status.reason}`);
+      }
+
+      const failedIssuers = [];
+      const issuerResults = [];
+
+      let ran;
+      try {
+        ran = await this.withRunLock(async (lock) => {
+          for (const context of this.issuers) {
+            const { issuer } = context;
+
+            if (lock.lost) {
+              this.logger.error(`Run lock lost, not processing issuer ${issuer.id}`);
+              failedIssuers.push(issuer.id);
+              continue;
+            }
+
+            try {
+              issuerResults.push(await this.runIssuer(context, { testMode, limit, dryRun }));
+            } catch (error) {
+              this.logger.error(`Automation failed for issuer ${issuer.id}:`, error.message);
+              failedIssuers.push(issuer.id);
+              issuerResults.push({ issuer: issuer.id, error: error.message });
+
+              // Errors are neither notified nor recorded during a dry run, which must leave the state untouched
+              if (dryRun) continue;
+
+              await this.notifier.notify('scrape.failed', { issuer: { id: issuer.id, name: issuer.name }, error: error.message });
+
+              // Save error to the issuer's processed data
+              try {
+                const processedData = await this.loadProcessedData();
+                const stats = this.getIssuerState(processedData, issuer.id).stats;
+                stats.errors.push({
+                  error: error.message,
+                  timestamp: new Date().toISOString(),
+                  fatal: true
+                });
+                stats.lastRun = { at: new Date().toISOString(), error: error.message };
+                await this.saveProcessedData(processedData);
+              } catch (saveError) {
+                this.logger.error('Failed to save error data:', saveError.message);
+              }
+            }
+          }
+
+          if (!dryRun) await this.sendScheduledDigest();
+        }, { dryRun });
+      } catch (error) {
+        metrics.runs.inc({ result: 'error' });
+        if (!dryRun) await this.notifier.notify('run.failed', { error: error.message });
+        throw error;
+      }
+
+      await this.browserPool.close();
+
+      if (!ran) {
+        metrics.runs.inc({ result: 'skipped' });
+      } else {
+        metrics.runs.inc({ result: failedIssuers.length > 0 ? 'failed' : 'success' });
+        metrics.runDuration.observe({}, (Date.now() - cycleStartedAt) / 1000);
+        if (failedIssuers.length === 0) metrics.lastSuccess.set({}, Math.floor(Date.now() / 1000));
+      }
+
+      if (failedIssuers.length > 0) {
+        this.logger.error(`Automation failed for ${failedIssuers.length} issuer(s): ${failedIssuers.join(', ')}`);
+      }
+
+      return {
+        runId,
+        skipped: !ran,
+        reason: ran ? null : 'run lock held by another run',
+        failedIssuers,
+        issuers: issuerResults
+      };
+    });
+  }
+
+  /**
+   * Send the daily digest if it is due; failures are logged and retried on the next run
+   */
+  async sendScheduledDigest() {
+    try {
+      const processedData = await this.loadProcessedData();
+      if (!this.digest.isDue(processedData.digest)) return;
+
+      await this.sendDigest(processedData, { scheduled: true });
+    } catch (error) {
+      this.logger.error('Failed to send digest:', error.message);
+    }
+  }
+
+  /**
+   * Send a digest now (`--send-digest`), covering releases since `since` or the last digest.
+   * When nothing was sent the cause is in `reason`; `skipped` is true when another run holds the lock.
+   */
+  async sendDigestNow({ since = null } = {}) {
+    try {
+      let sent = false;
+      const ran = await withLogContext({ runId: generateRunId() }, () => this.withRunLock(async () => {
+        sent = await this.sendDigest(await this.loadProcessedData(), { since });
+      }));
+      return {
+        sent,
+        skipped: !ran,
+        reason: !ran ? 'run lock held by another run' : sent ? null : 'no releases pushed to Webflow in the period'
+      };
+    } finally {
+      await this.shutdown();
+    }
+  }
+
+  /**
+   * Email the releases pushed to Webflow since the last digest and record the send in state
+   */
+  async sendDigest(processedData, { since = null, scheduled = false } = {}) {
+    const now = new Date();
+    const digestState = processedData.digest || {};
+    const from = this.digest.periodStart(digestState, since, now);
+    const entries = this.digest.collectEntries(processedData, this.issuers.map(context => context.issuer), from);
+
+    // Report the item's current CMS state, which editors may have changed since it was created
+    for (const entry of entries) {
+      const { webflow } = this.issuers.find(context => context.issuer.id === entry.issuer.id);
+      try {
+        const item = await webflow.getItem(entry.record.webflowId);
+        entry.status = item.isArchived ? 'archived' : item.isDraft ? 'draft' : item.lastPublished ? 'published' : 'staged';
+      } catch (error) {
+        this.logger.warn(`Could not get CMS status for ${entry.record.title}: ${error.message}`);
+        entry.status = entry.record.isDraft === false ? 'published' : entry.record.isDraft ? 'draft' : 'unknown';
+      }
+    }
+
+    let sent = false;
+    if (entries.length > 0 || this.digest.config.sendEmpty) {
+      await this.digest.send(this.digest.render(entries, { from, until: now }));
+      sent = true;
+    } else {
+      this.logger.info('No releases pushed to Webflow since the last digest, nothing to send');
+    }
+
+    processedData.digest = {
+      ...digestState,
+      lastSentAt: now.toISOString(),
+      ...(scheduled ? { lastScheduledDate: this.digest.localDate(now) } : {})
+    };
+    await this.saveProcessedData(processedData);
+    return sent;
+  }
+
+  /**
+   * Close the shared browser and the state store
+   */
+  async shutdown() {
+    await this.browserPool?.close();
+    await this.stateStore.close();
+
+    // Short-lived runs report once, when they finish; read-only commands have nothing to report
+    const { enabled, pushgatewayUrl, job } = this.config.metrics || {};
+    if (enabled && pushgatewayUrl && !this.readOnly) {
+      await pushMetrics(pushgatewayUrl, job || 'autopress', this.logger.child({ component: 'metrics' }));
+    }
+  }
+
+  /**
+   * Scrape and publish the releases of a single issuer
+   */
+  async runIssuer({ issuer, scraper, webflow }, { testMode = false, limit = null, dryRun = false } = {}) {
+    const startTime = new Date();
+    this.logger.info(`Processing issuer ${issuer.id} (${issuer.name})`);
+
+    // Load processed data
+    const processedData = await this.loadProcessedData();
+    const issuerState = this.getIssuerState(processedData, issuer.id);
+
+    // Test Webflow connection
+    const webflowConnected = await webflow.testConnection();
+    if (!webflowConnected) {
+      throw new Error('Failed to connect to Webflow API');
+    }
+    // Duplicate checks read the collection once per run
+    webflow.clearItemIndex();
+
+    // Migrated release IDs and drafts in review are handled on every run, whether or not there are new releases
+    const repaired = await this.repairReleaseIds(webflow, issuerState, { dryRun });
+    const reviewed = await this.publishDueDrafts({ issuer, webflow }, issuerState, { dryRun });
+    if ((repaired || reviewed) && !dryRun) {
+      await this.saveProcessedData(processedData);
+    }
+
+    const summary = { issuer: issuer.id, found: 0, created: 0, updated: 0, skipped: 0, errors: 0 };
+
+    // Scrape latest releases
+    const allReleases = this.matchProcessedReleases(await scraper.getLatestReleases(limit || (testMode ? 3 : 10)), issuerState);
+    summary.found = allReleases.length;
+
+    if (allReleases.length === 0) {
+      this.logger.info(`No press releases found for issuer ${issuer.id}`);
+      if (!dryRun) {
+        this.recordLastRun(issuerState, summary);
+        await this.saveProcessedData(processedData);
+      }
+      return summary;
+    }
+
+    // Archive or unpublish items whose release is no longer on the Euronext list
+    await this.syncWithdrawals({ issuer, webflow }, issuerState, scraper.listedReleases || [], { dryRun });
+
+    // Filter out already processed releases
+    const unprocessedReleases = this.filterNewReleases(allReleases, issuerState);
+    metrics.releasesNew.inc({ issuer: issuer.id }, unprocessedReleases.length);
+    const updatedReleases = this.filterUpdatedReleases(allReleases, issuerState);
+
+    // Queued releases that now have content: held ones are created, draft ones completed in place
+    const completedReleases = await this.retryIncompleteContent(scraper, issuerState, allReleases);
+    for (const { record, release } of completedReleases) {
+      if (record.webflowId) {
+        updatedReleases.push({ release, webflowId: record.webflowId, contentHash: computeContentHash(release), complete: true });
+      } else {
+        unprocessedReleases.push(release);
+      }
+    }
+
+    const newReleases = this.holdIncompleteReleases(unprocessedReleases, issuerState);
+
+    if (newReleases.length === 0 && updatedReleases.length === 0) {
+      this.logger.info(`No new or changed press releases to process for issuer ${issuer.id}`);
+      // Persist any baseline hashes recorded for older releases
+      if (!dryRun) {
+        this.recordLastRun(issuerState, summary);
+        await this.saveProcessedData(processedData);
+      }
+      return summary;
+    }
+
+    this.logger.info(`Found ${newReleases.length} new and ${updatedReleases.length} changed press releases to process${completedReleases.length ? ` (${completedReleases.length} previously without content)` : ''}`);
+
+    if (dryRun) {
+      const preview = await webflow.previewItems(newReleases, updatedReleases);
+      for (const item of preview.create) {
+        this.logger.info(`[dry run] Would create: ${item.title} (slug: ${item.body.fieldData.slug})`);
+      }
+      for (const item of preview.update) {
+        this.logger.info(`[dry run] Would update: ${item.title}`);
+      }
+      return {
+        ...summary,
+        created: preview.create.length,
+        updated: preview.update.length,
+        skipped: preview.skipped.length,
+        preview
+      };
+    }
+
+    // Create items in Webflow
+    this.logger.info(`Attempting to create ${newReleases.length} items in Webflow CMS`);
+    const results = await webflow.createItems(await scraper.downloadAttachmentsFor(newReleases));
+    
+    this.logger.info(`Webflow results: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`);
+
+    // Patch items whose source release was corrected
+    for (const update of updatedReleases) {
+      update.release = await scraper.downloadAttachments(update.release);
+    }
+    const updateResults = await webflow.updateItems(updatedReleases);
+    const result = {
+      ...summary,
+      created: results.created.length,
+      updated: updateResults.updated.length,
+      skipped: results.skipped.length,
+      errors: results.errors.length + updateResults.errors.length
+    };
+
+    // Update processed data
+    processedData.issuers[issuer.id] = this.mergeResults(issuerState, results, updateResults, updatedReleases);
+    this.recordLastRun(processedData.issuers[issuer.id], result);
+
+    await this.saveProcessedData(processedData);
+
+    await this.notifyResults(issuer, results, updateResults);
+
+    // Log results
+    const duration = (new Date() - startTime) / 1000;
+    this.logger.info(`Issuer ${issuer.id} completed in ${duration}s`);
+    this.logger.info(`Results: ${results.created.length} created, ${updateResults.updated.length} updated, ${results.skipped.length} skipped, ${results.errors.length + updateResults.errors.length} errors`);
+
+    if (results.errors.length > 0 || updateResults.errors.length > 0) {
+      this.logger.warn('Errors occurred during processing:', [...results.errors, ...updateResults.errors]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Keep the counts of an issuer's latest run in its stats, for `npm run status`
+   */
+  recordLastRun(issuerState, summary) {
+    const { issuer, ...counts } = summary;
+    issuerState.stats.lastRunTime = new Date().toISOString();
+    issuerState.stats.lastRun = { at: issuerState.stats.lastRunTime, ...counts };
+  }
+
+  /**
+   * Send notifications for created items and failed writes
+   */
+  async notifyResults(issuer, results, updateResults) {
+    const issuerInfo = { id: issuer.id, name: issuer.name };
+
+    for (const { release, webflowItem, publishAction } of results.created) {
+      const data = {
+        issuer: issuerInfo,
+        release: summarizeRelease(release),
+        item: { id: webflowItem.id, isDraft: !!webflowItem.isDraft, publishAction }
+      };
+      await this.notifier.notify('item.created', data);
+      if (webflowItem.isDraft) {
+        await this.notifier.notify('item.review', data);
+      }
+    }
+
+    for (const { release, error } of [...results.errors, ...results.publishErrors, ...updateResults.errors, ...updateResults.publishErrors]) {
+      await this.notifier.notify('item.failed', { issuer: issuerInfo, release: summarizeRelease(release), error });
+    }
+  }
+
+  /**
+   * Merge create/update results into an issuer's processed state
+   */
+  mergeResults(issuerState, results, updateResults = { updated: [], errors: [], publishErrors: [] }, updatedReleases = []) {
+    const hashesById = new Map(updatedReleases.map(u => [u.release.id, u.contentHash]));
+    const completedIds = new Set(updatedReleases.filter(u => u.complete).map(u => u.release.id));
+    const updatedById = new Map(updateResults.updated.map(item => [item.release.id, item]));
+    // Held releases are replaced by the record of the item created for them
+    const createdIds = new Set(results.created.map(item => item.release.id));
+    const heldById = new Map(issuerState.processedReleases.filter(record => createdIds.has(record.id)).map(record => [record.id, record]));
+
+    return {
+      ...issuerState,
+      lastProcessed: new Date().toISOString(),
+      processedReleases: [
+        ...issuerState.processedReleases.filter(record => !heldById.has(record.id)).map(record => {
+          const updated = updatedById.get(record.id);
+          if (!updated) return record;
+
+          const contentHash = hashesById.get(record.id);
+          let current = record;
+          if (completedIds.has(record.id)) {
+            const { incomplete, nodeId, listPageUrl, contentRetry, ...rest } = record;
+            current = {
+              ...rest,
+              isDraft: !!updated.webflowItem.isDraft,
+              completedAt: new Date().toISOString(),
+              ...(updated.publishAction === 'review' && updated.webflowItem.isDraft ? this.reviewFields(updated.webflowItem) : {})
+            };
+          } else if (current.review && !current.review.outcome) {
+            // Our own correction is not an editor's change
+            current = { ...current, review: { ...current.review, lastUpdated: updated.webflowItem.lastUpdated || null } };
+          }
+          return {
+            ...current,
+            title: updated.release.title,
+            contentHash,
+            updatedAt: new Date().toISOString(),
+            revisions: [
+              ...(record.revisions || []),
+              {
+                previousHash: record.contentHash,
+                contentHash,
+                updatedAt: new Date().toISOString()
+              }
+            ]
+          };
+        }),
+        ...results.created.map(item => ({
+          id: item.release.id,
+          title: item.release.title,
+          url: item.release.url,
+          dateText: item.release.dateText,
+          publishDate: item.release.publishDate,
+          webflowId: item.webflowItem.id,
+          slug: item.webflowItem.fieldData?.slug,
+          isDraft: !!item.webflowItem.isDraft,
+          contentHash: computeContentHash(item.release),
+          processedAt: new Date().toISOString(),
+          ...(heldById.get(item.release.id)?.backfill ? { backfill: true } : {}),
+          ...(item.release.contentFallback ? this.incompleteFields(item.release) : {}),
+          ...(item.publishAction === 'review' && item.webflowItem.isDraft && !item.release.contentFallback ? this.reviewFields(item.webflowItem) : {})
+        }))
+      ],
+      stats: {
+        ...issuerState.stats,
+        totalProcessed: issuerState.stats.totalProcessed + results.created.length,
+        totalUpdated: (issuerState.stats.totalUpdated || 0) + updateResults.updated.length,
+        lastRunTime: new Date().toISOString(),
+        errors: [
+          ...issuerState.stats.errors.slice(-10), // Keep last 10 errors
+          ...[...results.errors, ...results.publishErrors, ...updateResults.errors, ...updateResults.publishErrors].map(err => ({
+            title: err.release.title,
+            error: err.error,
+            timestamp: new Date().toISOString()
+          }))
+        ].slice(-10)
+      }
+    };
+  }
+
+  /**
+   * Import historical releases published between two dates (inclusive, YYYY-MM-DD).
+   * Skipped, with the cause in `reason`, when another run holds the lock.
+   */
+  async backfill({ from, to }) {
+    return withLogContext({ runId: generateRunId() }, async () => {
+      this.logger.info(`Starting backfill from ${from} to ${to}`);
+
+      const failedIssuers = [];
+
+      const ran = await this.withRunLock(async (lock) => {
+        for (const context of this.issuers) {
+          if (lock.lost) {
+            this.logger.error(`Run lock lost, not backfilling issuer ${context.issuer.id}`);
+            failedIssuers.push(context.issuer.id);
+            continue;
+          }
+
+          try {
+            await this.backfillIssuer(context, from, to);
+          } catch (error) {
+            this.logger.error(`Backfill failed for issuer ${context.issuer.id}:`, error.message);
+            failedIssuers.push(context.issuer.id);
+          }
+        }
+      });
+
+      await this.shutdown();
+
+      if (failedIssuers.length > 0) {
+        this.logger.error(`Backfill incomplete for ${failedIssuers.length} issuer(s): ${failedIssuers.join(', ')}. Re-run the same command to resume.`);
+      }
+
+      return {
+        skipped: !ran,
+        reason: ran ? null : 'run lock held by another run',
+        failedIssuers
+      };
+    });
+  }
+
+  /**
+   * Walk the paginated list of a single issuer, resuming from the last completed page
+   */
+  async backfillIssuer({ issuer, scraper, webflow }, from, to) {
+    const processedData = await this.loadProcessedData();
+    let issuerState = this.getIssuerState(processedData, issuer.id);
+
+    const progress = issuerState.backfill;
+    const resuming = progress && progress.from === from && progress.to === to && !progress.completedAt;
+    let page = resuming ? progress.nextPage : 0;
+
+    if (resuming) {
+      this.logger.info(`Resuming backfill for issuer ${issuer.id} at page ${page}`);
+    }
+
+    issuerState.backfill = {
+      from,
+      to,
+      nextPage: page,
+      startedAt: resuming ? progress.startedAt : new Date().toISOString(),
+      completedAt: null
+    };
+
+    const webflowConnected = await webflow.testConnection();
+    if (!webflowConnected) {
+      throw new Error('Failed to connect to Webflow API');
+    }
+    webflow.clearItemIndex();
+
+    const maxPages = this.config.euronext.maxPages || 200;
+
+    for (; page < maxPages; page++) {
+      const releases = this.matchProcessedReleases(await scraper.fetchPressReleasePage(page), issuerState);
+      if (releases.length === 0) {
+        this.logger.info(`Page ${page} is empty, reached the end of the list`);
+        break;
+      }
+
+      const dateKeys = releases.map(release => scraper.getReleaseDateKey(release)).filter(Boolean);
+      const inRange = releases.filter(release => {
+        const dateKey = scraper.getReleaseDateKey(release);
+        return dateKey && dateKey >= from && dateKey <= to;
+      });
+      const newReleases = this.filterNewReleases(inRange, issuerState);
+
+      this.logger.info(`Backfill page ${page}: ${releases.length} releases, ${inRange.length} in range, ${newReleases.length} new`);
+
+      if (newReleases.length > 0) {
+        const fetchedReleases = await scraper.fetchContentForReleases(newReleases);
+        const releasesWithContent = await scraper.downloadAttachmentsFor(
+          this.holdIncompleteReleases(fetchedReleases, issuerState)
+        );
+        const results = await webflow.createItems(releasesWithContent);
+        issuerState = this.mergeResults(issuerState, results);
+
+        // Historical imports (including held ones) are kept out of the daily digest
+        const backfilledIds = new Set(fetchedReleases.map(release => release.id));
+        for (const record of issuerState.processedReleases) {
+          if (backfilledIds.has(record.id)) record.backfill = true;
+        }
+      }
+
+      // Checkpoint after every page so an interrupted backfill can resume here
+      issuerState.backfill.nextPage = page + 1;
+      processedData.issuers[issuer.id] = issuerState;
+      await this.saveProcessedData(processedData);
+
+      // The list is newest first, so once a page reaches before the range we are done
+      if (dateKeys.length > 0 && dateKeys.some(dateKey => dateKey < from)) {
+        break;
+      }
+    }
+
+    if (page >= maxPages) {
+      this.logger.warn(`Stopped after euronext.maxPages (${maxPages}) pages for issuer ${issuer.id}; raise it to reach further back`);
+    }
+
+    issuerState.backfill.completedAt = new Date().toISOString();
+    processedData.issuers[issuer.id] = issuerState;
+    await this.saveProcessedData(processedData);
+
+    this.logger.info(`Backfill completed for issuer ${issuer.id}`);
+  }
+
+  /**
+   * Health check function
+   */
+  async healthCheck() {
+    this.logger.info('Running health check');
+    
+    try {
+      for (const { issuer, scraper, webflow } of this.issuers) {
+        // Test Webflow connection
+        const webflowConnected = await webflow.testConnection();
+        if (!webflowConnected) {
+          throw new Error(`Webflow connection failed for issuer ${issuer.id}`);
+        }
+
+        // Test scraper (fetch first page only)
+        await scraper.fetchPressReleaseList();
+      }
+      
+      this.logger.info('Health check passed');
+      return true;
+    } catch (error) {
+      this.logger.error('Health check failed:', error.message);
+      return false;
+    }
+  }
+}
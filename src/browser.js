@@ -0,0 +1,195 @@
+import { retry } from './utils.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--disable-web-security',  // Help with CORS issues
+  '--disable-features=VizDisplayCompositor'
+];
+
+/**
+ * Shares one Chromium instance and its loaded list pages across a whole run.
+ * At most `euronext.concurrency` pages are in use at the same time.
+ */
+export class BrowserPool {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.concurrency = Math.max(1, config.euronext?.concurrency || 1);
+    this.browserPromise = null;
+    this.idlePages = [];
+    this.stalePages = new WeakSet();
+    this.pageUrls = new WeakMap();
+    this.active = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * Launch the browser on first use
+   */
+  async getBrowser() {
+    if (!this.browserPromise) {
+      this.logger.info('Launching shared browser');
+      // Imported lazily so HTTP-only runs never load Puppeteer
+      this.browserPromise = Promise.all([import('puppeteer'), this.getLaunchOptions()])
+        .then(([{ default: puppeteer }, options]) => puppeteer.launch(options))
+        .catch(error => {
+          this.browserPromise = null;
+          throw error;
+        });
+    }
+    return this.browserPromise;
+  }
+
+  /**
+   * Launch options, using a configured Chromium binary or the Lambda build when available
+   */
+  async getLaunchOptions() {
+    const options = {
+      headless: 'new',
+      timeout: 30000,  // 30 second timeout for browser launch
+      args: LAUNCH_ARGS
+    };
+
+    const executablePath = this.config.browser?.executablePath;
+    if (executablePath) {
+      return { ...options, executablePath };
+    }
+
+    // Lambda has no Chrome of its own; use the build shipped in @sparticuz/chromium
+    if (process.env.AWS_LAMBDA_FUNCTION_NAME && !process.env.PUPPETEER_EXECUTABLE_PATH) {
+      const { default: chromium } = await import('@sparticuz/chromium');
+      return {
+        ...options,
+        // The package ships a chrome-headless-shell build, which Puppeteer runs in 'shell' mode
+        headless: 'shell',
+        args: [...new Set([...chromium.args, ...LAUNCH_ARGS])],
+        executablePath: await chromium.executablePath()
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * Run a function with a page that has the given list URL loaded
+   */
+  async withPage(url, fn) {
+    await this.acquireSlot();
+    let page = null;
+
+    try {
+      page = await this.checkoutPage(url);
+      return await fn(page);
+    } catch (error) {
+      // Reload the page before it is used again, its state is unknown
+      if (page) this.stalePages.add(page);
+      throw error;
+    } finally {
+      if (page && !page.isClosed()) this.idlePages.push(page);
+      this.releaseSlot();
+    }
+  }
+
+  async acquireSlot() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    // The slot is handed over directly by releaseSlot
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Take an idle page showing the URL, or (re)load one
+   */
+  async checkoutPage(url) {
+    const readyIndex = this.idlePages.findIndex(page => this.pageUrls.get(page) === url && !this.stalePages.has(page));
+    if (readyIndex !== -1) {
+      return this.idlePages.splice(readyIndex, 1)[0];
+    }
+
+    let page = this.idlePages.pop();
+    if (!page) {
+      const browser = await this.getBrowser();
+      page = await browser.newPage();
+      await page.setUserAgent(USER_AGENT);
+      await page.setViewport({ width: 1920, height: 1080 });
+    }
+
+    try {
+      await this.loadListPage(page, url);
+    } catch (error) {
+      await page.close().catch(() => {});
+      throw error;
+    }
+    return page;
+  }
+
+  /**
+   * Navigate to a list page and wait until its release links are rendered
+   */
+  async loadListPage(page, url) {
+    this.logger.info(`Loading Euronext list page: ${url}`);
+
+    await retry(async () => {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await page.waitForSelector('a[data-node-nid]', { timeout: 15000 });
+    }, 3, 2000);
+
+    this.pageUrls.set(page, url);
+    this.stalePages.delete(page);
+  }
+
+  /**
+   * Close an open modal so the next release can be clicked on the same page
+   */
+  async closeModal(page, modalSelector) {
+    try {
+      const closeButton = await page.$(`${modalSelector} [data-dismiss="modal"], ${modalSelector} [data-bs-dismiss="modal"], ${modalSelector} .close`);
+      if (closeButton) {
+        await closeButton.click();
+      } else {
+        await page.keyboard.press('Escape');
+      }
+      await page.waitForSelector(modalSelector, { hidden: true, timeout: 5000 });
+    } catch (error) {
+      this.logger.debug(`Modal did not close cleanly, page will be reloaded: ${error.message}`);
+      this.stalePages.add(page);
+    }
+  }
+
+  /**
+   * Close the browser and forget all pages
+   */
+  async close() {
+    if (!this.browserPromise) return;
+
+    try {
+      const browser = await this.browserPromise;
+      await browser.close();
+      this.logger.info('Shared browser closed');
+    } catch (error) {
+      this.logger.warn(`Error closing browser: ${error.message}`);
+    } finally {
+      this.browserPromise = null;
+      this.idlePages = [];
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import { startMetricsServer } from './metrics.js';
+
+/**
+ * Long-running mode: runs automation cycles every `schedule.intervalMinutes`
+ * inside the configured windows, one cycle at a time.
+ */
+export class Daemon {
+  constructor(automation, config, logger) {
+    this.automation = automation;
+    this.logger = logger;
+    this.intervalMs = (config.schedule?.intervalMinutes || 5) * 60 * 1000;
+    this.backoffBaseMs = (config.daemon?.backoffBaseSeconds || 30) * 1000;
+    this.backoffMaxMs = (config.daemon?.backoffMaxMinutes || 30) * 60 * 1000;
+    this.metricsConfig = config.metrics || {};
+    this.metricsServer = null;
+    this.consecutiveFailures = 0;
+    this.stopping = false;
+    this.wakeUp = null;
+  }
+
+  /**
+   * Delay before the next cycle: the interval, or exponential backoff with jitter after failures
+   */
+  getDelay(cycleStartedAt) {
+    if (this.consecutiveFailures === 0) {
+      // Fixed rate; a cycle that overran the interval is followed immediately
+      return Math.max(0, cycleStartedAt + this.intervalMs - Date.now());
+    }
+
+    const backoff = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** (this.consecutiveFailures - 1));
+    // Equal jitter: half fixed, half random, so restarted replicas drift apart
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Sleep that returns early when the daemon is stopped
+   */
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Run cycles until stop() is called, then release resources
+   */
+  async start(options = {}) {
+    this.logger.info(`Daemon started, running every ${this.intervalMs / 60000} minute(s) within the schedule`);
+
+    if (this.metricsConfig.enabled && this.metricsConfig.port) {
+      this.metricsServer = startMetricsServer(this.metricsConfig.port, this.logger);
+    }
+
+    while (!this.stopping) {
+      const cycleStartedAt = Date.now();
+
+      try {
+        const { failedIssuers } = await this.automation.runCycle(options);
+        this.consecutiveFailures = failedIssuers.length > 0 ? this.consecutiveFailures + 1 : 0;
+      } catch (error) {
+        this.consecutiveFailures++;
+        this.logger.error('Daemon cycle failed:', error.message);
+      }
+
+      if (this.stopping) break;
+
+      const delay = this.getDelay(cycleStartedAt);
+      if (this.consecutiveFailures > 0) {
+        this.logger.warn(`${this.consecutiveFailures} consecutive failed cycle(s), backing off for ${Math.round(delay / 1000)}s`);
+      } else {
+        this.logger.debug(`Next cycle in ${Math.round(delay / 1000)}s`);
+      }
+      await this.wait(delay);
+    }
+
+    await this.automation.shutdown();
+    await new Promise(resolve => this.metricsServer ? this.metricsServer.close(resolve) : resolve());
+    this.logger.info('Daemon stopped');
+  }
+
+  /**
+   * Stop after the current cycle; an idle daemon stops immediately
+   */
+  stop(signal) {
+    if (this.stopping) return;
+
+    this.logger.info(`Received ${signal}, stopping after the current cycle`);
+    this.stopping = true;
+    this.wakeUp?.();
+  }
+}
@@ -0,0 +1,170 @@
+import { getZonedTime, parseDaysOfWeek, parseTime } from './schedule.js';
+import { renderTemplate } from './mapping.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Daily email listing the releases pushed to Webflow, built from the processed state history
+ */
+export class DigestSender {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.config = config.digest || {};
+    this.enabled = this.config.enabled === true;
+    this.timezone = config.schedule?.timezone || 'UTC';
+    this.days = parseDaysOfWeek(this.config.daysOfWeek);
+    this.sendAt = parseTime(this.config.time || '07:00');
+    this.lookbackHours = this.config.lookbackHours || 24;
+
+    this.recipients = process.env.DIGEST_RECIPIENTS
+      ? process.env.DIGEST_RECIPIENTS.split(',').map(address => address.trim()).filter(Boolean)
+      : this.config.recipients || [];
+
+    const smtp = this.config.smtp || {};
+    this.smtp = {
+      host: process.env.SMTP_HOST || smtp.host,
+      port: parseInt(process.env.SMTP_PORT || smtp.port || 587),
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : !!smtp.secure,
+      user: process.env.SMTP_USER || smtp.user,
+      pass: process.env.SMTP_PASS
+    };
+    this.from = process.env.SMTP_FROM || this.config.from || this.smtp.user;
+    this.transport = null;
+  }
+
+  /**
+   * Whether the scheduled digest for today is due and has not been sent yet
+   */
+  isDue(digestState = {}, now = new Date()) {
+    if (!this.enabled) return false;
+
+    const local = getZonedTime(now, this.timezone);
+    return this.days.has(local.weekday)
+      && local.minutes >= this.sendAt
+      && (!digestState.lastScheduledDate || digestState.lastScheduledDate < local.dateKey);
+  }
+
+  /**
+   * Local date of an instant in the schedule timezone, used to record scheduled sends
+   */
+  localDate(now = new Date()) {
+    return getZonedTime(now, this.timezone).dateKey;
+  }
+
+  /**
+   * Start of the period a digest covers: an explicit date, the last send, or the lookback window
+   */
+  periodStart(digestState = {}, since = null, now = new Date()) {
+    if (since) return new Date(since);
+    if (digestState.lastSentAt) return new Date(digestState.lastSentAt);
+    return new Date(now.getTime() - this.lookbackHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Releases created or corrected in Webflow since a date, oldest first.
+   * Backfilled releases are left out.
+   */
+  collectEntries(processedData, issuers, since) {
+    const entries = [];
+
+    for (const issuer of issuers) {
+      const records = processedData.issuers?.[issuer.id]?.processedReleases || [];
+
+      for (const record of records) {
+        if (record.backfill || !record.webflowId) continue;
+
+        const createdAt = record.processedAt ? new Date(record.processedAt) : null;
+        const updatedAt = record.updatedAt ? new Date(record.updatedAt) : null;
+
+        if (createdAt && createdAt >= since) {
+          entries.push({ issuer, record, change: 'created', at: createdAt });
+        } else if (updatedAt && updatedAt >= since) {
+          entries.push({ issuer, record, change: 'corrected', at: updatedAt });
+        }
+      }
+    }
+
+    return entries.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Link for an entry: the live page when `itemUrlTemplate` is set, otherwise the Euronext release
+   */
+  linkFor(entry) {
+    if (this.config.itemUrlTemplate && entry.record.slug) {
+      return renderTemplate(this.config.itemUrlTemplate, { ...entry.record, issuer: entry.issuer });
+    }
+    return entry.record.url;
+  }
+
+  /**
+   * Build the email subject, plain text and HTML bodies
+   */
+  render(entries, { from, until }) {
+    const formatLocal = date => {
+      const local = getZonedTime(date, this.timezone);
+      return `${local.dateKey} ${local.time}`;
+    };
+    const period = `${formatLocal(from)} and ${formatLocal(until)} (${this.timezone})`;
+    const subject = renderTemplate(this.config.subject || 'Press releases published to Webflow: {{count}}', {
+      count: entries.length,
+      date: this.localDate(until)
+    });
+
+    if (entries.length === 0) {
+      const text = `No press releases were pushed to Webflow between ${period}.`;
+      return { subject, text, html: `<p>${escapeHtml(text)}</p>` };
+    }
+
+    const lines = entries.map(entry =>
+      `- [${entry.issuer.name}] ${entry.record.title} (${entry.record.dateText || entry.record.publishDate || 'unknown date'}) - ${entry.status}${entry.change === 'corrected' ? ', corrected' : ''}\n  ${this.linkFor(entry)}`
+    );
+    const rows = entries.map(entry => `<tr>
+<td>${escapeHtml(entry.issuer.name)}</td>
+<td><a href="${escapeHtml(this.linkFor(entry))}">${escapeHtml(entry.record.title)}</a></td>
+<td>${escapeHtml(entry.record.dateText || entry.record.publishDate || '')}</td>
+<td>${escapeHtml(entry.status)}${entry.change === 'corrected' ? ' (corrected)' : ''}</td>
+</tr>`).join('\n');
+
+    return {
+      subject,
+      text: `Press releases pushed to Webflow between ${period}:\n\n${lines.join('\n')}\n`,
+      html: `<p>Press releases pushed to Webflow between ${escapeHtml(period)}:</p>
+<table cellpadding="6" cellspacing="0" border="1" style="border-collapse: collapse">
+<tr><th align="left">Issuer</th><th align="left">Title</th><th align="left">Date</th><th align="left">CMS status</th></tr>
+${rows}
+</table>`
+    };
+  }
+
+  /**
+   * Send a rendered digest to all recipients (requires the optional `nodemailer` package)
+   */
+  async send(message) {
+    if (this.recipients.length === 0) {
+      throw new Error('No digest recipients configured (digest.recipients or DIGEST_RECIPIENTS)');
+    }
+    if (!this.smtp.host) {
+      throw new Error('No SMTP host configured (digest.smtp.host or SMTP_HOST)');
+    }
+
+    if (!this.transport) {
+      const { default: nodemailer } = await import('nodemailer');
+      this.transport = nodemailer.createTransport({
+        host: this.smtp.host,
+        port: this.smtp.port,
+        secure: this.smtp.secure,
+        auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined
+      });
+    }
+
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.recipients.join(', '),
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    this.logger.info(`Digest "${message.subject}" sent to ${this.recipients.length} recipient(s)`);
+  }
+}
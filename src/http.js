@@ -0,0 +1,158 @@
+import axios from 'axios';
+import { sleep } from './utils.js';
+import { metrics } from './metrics.js';
+
+/**
+ * Token bucket refilled continuously at `capacity` tokens per minute
+ */
+export class TokenBucket {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 60000 * this.capacity);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Wait until a token is available and take it
+   */
+  async take() {
+    for (;;) {
+      const blockedFor = this.blockedUntil - Date.now();
+      if (blockedFor > 0) {
+        await sleep(blockedFor);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - this.tokens) / this.capacity * 60000));
+    }
+  }
+
+  /**
+   * Take the server's view of the limit (X-RateLimit-Limit / X-RateLimit-Remaining)
+   */
+  sync(limit, remaining) {
+    if (limit > 0) this.capacity = limit;
+    this.refill();
+    if (remaining >= 0) this.tokens = Math.min(this.capacity, remaining);
+  }
+
+  /**
+   * Hold every caller for a while, e.g. for the Retry-After of a 429
+   */
+  pause(ms) {
+    this.tokens = 0;
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Webflow API client shared by all issuers: requests are paced by a token bucket fed by the
+ * rate limit headers, 429s wait for Retry-After, and only 5xx and network errors are retried
+ * with exponential backoff. Other 4xx responses fail immediately.
+ */
+export class RateLimitedHttpClient {
+  constructor(config, logger) {
+    const webflowConfig = config.webflow || {};
+    this.logger = logger;
+    this.baseUrl = 'https://api.webflow.com/v2';
+    this.bucket = new TokenBucket(webflowConfig.requestsPerMinute || 60);
+    this.maxAttempts = webflowConfig.retryAttempts || 3;
+    this.baseDelayMs = webflowConfig.retryDelayMs || 1000;
+    this.maxDelayMs = webflowConfig.maxRetryDelayMs || 60000;
+    this.http = axios.create();
+  }
+
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  patch(url, data, options = {}) {
+    return this.request({ ...options, method: 'patch', url, data });
+  }
+
+  delete(url, options = {}) {
+    return this.request({ ...options, method: 'delete', url });
+  }
+
+  /**
+   * Send a request, waiting for the rate limit and retrying transient failures
+   */
+  async request(options) {
+    for (let attempt = 1; ; attempt++) {
+      await this.bucket.take();
+      const startedAt = process.hrtime.bigint();
+
+      try {
+        const response = await this.http.request(options);
+        this.recordResponse(options, response, startedAt);
+        return response;
+      } catch (error) {
+        this.recordResponse(options, error.response, startedAt);
+
+        const status = error.response?.status;
+        const reason = !error.response ? 'network' : status === 429 ? 'rate_limited' : status >= 500 ? 'server_error' : null;
+        if (!reason || attempt >= this.maxAttempts) throw error;
+
+        // Exponential backoff with equal jitter; a 429 waits as long as the server asks
+        const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        const retryAfter = status === 429 ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+        const delay = retryAfter ?? Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        if (status === 429) this.bucket.pause(delay);
+        metrics.webflowRetries.inc({ reason });
+        this.logger.warn(`${options.method.toUpperCase()} ${this.routeOf(options.url)} failed (${status || error.code || error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt} of ${this.maxAttempts})`);
+
+        if (status !== 429) await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Path of an API URL with IDs replaced, used as a metrics label
+   */
+  routeOf(url) {
+    return url.replace(this.baseUrl, '').split('?')[0].replace(/\b[0-9a-f]{24}\b/g, ':id');
+  }
+
+  /**
+   * Update the limiter from the rate limit headers and observe the request latency
+   */
+  recordResponse(options, response, startedAt) {
+    const headers = response?.headers || {};
+    if (headers['x-ratelimit-remaining'] !== undefined) {
+      this.bucket.sync(parseInt(headers['x-ratelimit-limit']), parseInt(headers['x-ratelimit-remaining']));
+    }
+
+    metrics.webflowDuration.observe(
+      { method: options.method.toUpperCase(), route: this.routeOf(options.url), status: response?.status || 'error' },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  }
+}
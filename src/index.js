@@ -1,227 +1,162 @@
-import dotenv from 'dotenv';
-import fs from 'fs/promises';
-import path from 'path';
-import { EuronextScraper } from './scraper.js';
-import { WebflowClient } from './webflow.js';
-import { loadConfig, isWithinScheduledHours, Logger } from './utils.js';
-
-// Load environment variables
-dotenv.config();
-
-class PressReleaseAutomation {
-  constructor() {
-    this.config = null;
-    this.logger = null;
-    this.scraper = null;
-    this.webflow = null;
-    this.processedDataPath = path.join(process.cwd(), 'data', 'processed.json');
-  }
+import { PressReleaseAutomation } from './automation.js';
+import { Daemon } from './daemon.js';
+import { buildDryRunReport, writeReport } from './report.js';
+import { RECORD_STATES, buildStatus, buildHistory, renderStatusText, renderHistoryText } from './status.js';
+
+const COMMANDS = ['status', 'history'];
+
+/**
+ * Read the value following a command line flag
+ */
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
 
-  async initialize() {
-    try {
-      // Load configuration
-      this.config = await loadConfig();
-      this.logger = new Logger(this.config.logging);
-      
-      // Initialize services
-      this.scraper = new EuronextScraper(this.config);
-      this.webflow = new WebflowClient(this.config);
-      
-      this.logger.info('Automation initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize automation:', error.message);
-      process.exit(1);
-    }
-  }
+/**
+ * Check for a YYYY-MM-DD date string
+ */
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
 
-  /**
-   * Load processed releases data
-   */
-  async loadProcessedData() {
-    try {
-      const data = await fs.readFile(this.processedDataPath, 'utf-8');
-      return JSON.parse(data);
-    } catch (error) {
-      this.logger.warn('Could not load processed data, starting fresh');
-      return {
-        lastProcessed: null,
-        processedReleases: [],
-        stats: {
-          totalProcessed: 0,
-          lastRunTime: null,
-          errors: []
-        }
-      };
-    }
+/**
+ * Print the processed state summary or release history, as tables or JSON
+ */
+async function showState(command, args) {
+  // stdout carries only the table or JSON; state loading logs go to stderr
+  process.env.LOG_STREAM = 'stderr';
+
+  const json = args.includes('--json');
+  const limit = getArgValue(args, '--limit');
+  const errors = getArgValue(args, '--errors');
+  const options = {
+    issuer: getArgValue(args, '--issuer') || null,
+    from: getArgValue(args, '--from') || null,
+    to: getArgValue(args, '--to') || null,
+    state: getArgValue(args, '--state') || null,
+    limit: limit === undefined ? 20 : parseInt(limit),
+    errorLimit: errors === undefined ? 5 : parseInt(errors)
+  };
+
+  if ((options.from && !isIsoDate(options.from)) || (options.to && !isIsoDate(options.to))
+    || (options.state && !RECORD_STATES.includes(options.state)) || isNaN(options.limit) || isNaN(options.errorLimit)) {
+    console.error('Usage: node src/index.js status [--errors N] [--json]');
+    console.error(`       node src/index.js history [--issuer ID] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--state ${RECORD_STATES.join('|')}] [--limit N] [--json]`);
+    process.exit(1);
   }
 
-  /**
-   * Save processed releases data
-   */
-  async saveProcessedData(data) {
-    try {
-      await fs.writeFile(this.processedDataPath, JSON.stringify(data, null, 2));
-      this.logger.debug('Processed data saved successfully');
-    } catch (error) {
-      this.logger.error('Failed to save processed data:', error.message);
-    }
-  }
+  const automation = new PressReleaseAutomation();
+  await automation.initializeReadOnly();
 
-  /**
-   * Filter out already processed releases
-   */
-  filterNewReleases(releases, processedData) {
-    const processedIds = new Set(processedData.processedReleases.map(r => r.id));
-    return releases.filter(release => !processedIds.has(release.id));
-  }
+  try {
+    const processedData = await automation.loadProcessedData();
+    const issuers = automation.issuers.map(context => context.issuer);
 
-  /**
-   * Main execution function
-   */
-  async run(testMode = false) {
-    const startTime = new Date();
-    this.logger.info(`Starting press release automation ${testMode ? '(TEST MODE)' : ''}`);
-
-    try {
-      // Load processed data
-      const processedData = await this.loadProcessedData();
-
-      // Check if within scheduled hours (skip in test mode)
-      if (!testMode && !isWithinScheduledHours(this.config)) {
-        this.logger.info('Outside scheduled hours, skipping execution');
-        return;
-      }
-
-      // Test Webflow connection
-      const webflowConnected = await this.webflow.testConnection();
-      if (!webflowConnected) {
-        throw new Error('Failed to connect to Webflow API');
-      }
-
-      // Scrape latest releases
-      const limit = testMode ? 3 : 10;
-      const allReleases = await this.scraper.getLatestReleases(limit);
-      
-      if (allReleases.length === 0) {
-        this.logger.info('No press releases found');
-        return;
-      }
-
-      // Filter out already processed releases
-      const newReleases = this.filterNewReleases(allReleases, processedData);
-      
-      if (newReleases.length === 0) {
-        this.logger.info('No new press releases to process');
-        return;
-      }
-
-      this.logger.info(`Found ${newReleases.length} new press releases to process`);
-
-      // Create items in Webflow
-      this.logger.info(`Attempting to create ${newReleases.length} items in Webflow CMS`);
-      const results = await this.webflow.createItems(newReleases);
-      
-      this.logger.info(`Webflow results: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`);
-
-      // Update processed data
-      const updatedProcessedData = {
-        ...processedData,
-        lastProcessed: new Date().toISOString(),
-        processedReleases: [
-          ...processedData.processedReleases,
-          ...results.created.map(item => ({
-            id: item.release.id,
-            title: item.release.title,
-            url: item.release.url,
-            webflowId: item.webflowItem.id,
-            processedAt: new Date().toISOString()
-          }))
-        ],
-        stats: {
-          totalProcessed: processedData.stats.totalProcessed + results.created.length,
-          lastRunTime: new Date().toISOString(),
-          errors: [
-            ...processedData.stats.errors.slice(-10), // Keep last 10 errors
-            ...results.errors.map(err => ({
-              title: err.release.title,
-              error: err.error,
-              timestamp: new Date().toISOString()
-            }))
-          ].slice(-10)
-        }
-      };
-
-      await this.saveProcessedData(updatedProcessedData);
-
-      // Log results
-      const duration = (new Date() - startTime) / 1000;
-      this.logger.info(`Automation completed in ${duration}s`);
-      this.logger.info(`Results: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`);
-
-      if (results.errors.length > 0) {
-        this.logger.warn('Errors occurred during processing:', results.errors);
-      }
-
-    } catch (error) {
-      this.logger.error('Automation failed:', error.message);
-      
-      // Save error to processed data
-      try {
-        const processedData = await this.loadProcessedData();
-        processedData.stats.errors.push({
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          fatal: true
-        });
-        await this.saveProcessedData(processedData);
-      } catch (saveError) {
-        this.logger.error('Failed to save error data:', saveError.message);
-      }
-      
+    if (options.issuer && !issuers.some(issuer => issuer.id === options.issuer) && !processedData.issuers[options.issuer]) {
+      console.error(`Unknown issuer: ${options.issuer}`);
       process.exit(1);
     }
-  }
 
-  /**
-   * Health check function
-   */
-  async healthCheck() {
-    this.logger.info('Running health check');
-    
-    try {
-      // Test Webflow connection
-      const webflowConnected = await this.webflow.testConnection();
-      if (!webflowConnected) {
-        throw new Error('Webflow connection failed');
-      }
-
-      // Test scraper (fetch first page only)
-      await this.scraper.fetchPressReleaseList();
-      
-      this.logger.info('Health check passed');
-      return true;
-    } catch (error) {
-      this.logger.error('Health check failed:', error.message);
-      return false;
+    if (command === 'status') {
+      const status = buildStatus(processedData, issuers, options);
+      console.log(json ? JSON.stringify(status, null, 2) : renderStatusText(status));
+    } else {
+      const entries = buildHistory(processedData, issuers, options);
+      console.log(json ? JSON.stringify(entries, null, 2) : renderHistoryText(entries));
     }
+  } finally {
+    await automation.shutdown();
   }
 }
 
 // Main execution
 async function main() {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : null;
+
+  if (command) {
+    if (!COMMANDS.includes(command)) {
+      console.error(`Unknown command: ${command} (available: ${COMMANDS.join(', ')})`);
+      process.exit(1);
+    }
+    return showState(command, args.slice(1));
+  }
+
+  // A dry run prints its JSON report on stdout, so logs go to stderr
+  if (args.includes('--dry-run')) {
+    process.env.LOG_STREAM = 'stderr';
+  }
+
   const automation = new PressReleaseAutomation();
   await automation.initialize();
 
-  // Parse command line arguments
-  const args = process.argv.slice(2);
   const testMode = args.includes('--test') || process.env.TEST_MODE === 'true';
   const healthCheck = args.includes('--health');
+  const backfill = args.includes('--backfill');
+  const daemonMode = args.includes('--daemon');
+  const dryRun = args.includes('--dry-run');
+  const sendDigest = args.includes('--send-digest');
 
   if (healthCheck) {
     const healthy = await automation.healthCheck();
     process.exit(healthy ? 0 : 1);
+  } else if (backfill) {
+    const from = getArgValue(args, '--from');
+    const to = getArgValue(args, '--to') || new Date().toISOString().split('T')[0];
+
+    if (!isIsoDate(from) || !isIsoDate(to) || from > to) {
+      console.error('Usage: node src/index.js --backfill --from YYYY-MM-DD [--to YYYY-MM-DD]');
+      process.exit(1);
+    }
+
+    const { skipped, reason, failedIssuers } = await automation.backfill({ from, to });
+    if (skipped) {
+      console.error(`Backfill not run: ${reason}`);
+      process.exit(1);
+    }
+    if (failedIssuers.length > 0) process.exit(1);
+  } else if (sendDigest) {
+    const since = getArgValue(args, '--since');
+
+    if (since !== undefined && !isIsoDate(since)) {
+      console.error('Usage: node src/index.js --send-digest [--since YYYY-MM-DD]');
+      process.exit(1);
+    }
+
+    const { sent, skipped, reason } = await automation.sendDigestNow({ since });
+    if (!sent) console.error(`Digest not sent: ${reason}`);
+    // Nothing to send is not an error; another run holding the lock is
+    if (skipped) process.exit(1);
+  } else if (daemonMode) {
+    const daemon = new Daemon(automation, automation.config, automation.logger.child({ component: 'daemon' }));
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, () => {
+        if (daemon.stopping) {
+          automation.logger.warn(`Received ${signal} again, exiting without waiting for the current cycle`);
+          process.exit(1);
+        }
+        daemon.stop(signal);
+      });
+    }
+
+    await daemon.start({ testMode });
+  } else if (dryRun) {
+    const result = await automation.run({ testMode, dryRun: true });
+    const report = buildDryRunReport(result);
+    const reportPath = getArgValue(args, '--report');
+
+    if (reportPath) {
+      automation.logger.info(`Dry run report written to ${await writeReport(report, reportPath)}`);
+    } else {
+      console.log(JSON.stringify(report, null, 2));
+    }
+    if (result.failedIssuers.length > 0) process.exit(1);
   } else {
-    await automation.run(testMode);
+    const { failedIssuers } = await automation.run({ testMode });
+    if (failedIssuers.length > 0) process.exit(1);
   }
 }
 
@@ -237,4 +172,7 @@ process.on('uncaughtException', (error) => {
 });
 
 // Run the application
-main();
\ No newline at end of file
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+import { PressReleaseAutomation } from './automation.js';
+
+// Reused across warm invocations so the field mapping is only validated on cold start
+let automationPromise = null;
+
+/**
+ * Read run options from the invocation payload.
+ * Accepts a direct payload ({ "testMode": true, "limit": 5, "dryRun": true }) or an HTTP event with a JSON body;
+ * scheduled events carry no overrides.
+ */
+function parseOptions(event = {}) {
+  const payload = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : event;
+  const limit = parseInt(payload.limit);
+
+  return {
+    testMode: payload.testMode === true || payload.testMode === 'true',
+    dryRun: payload.dryRun === true || payload.dryRun === 'true',
+    limit: limit > 0 ? limit : null
+  };
+}
+
+/**
+ * Lambda entrypoint: runs one automation cycle and returns a result object instead of exiting
+ */
+export async function handler(event, context) {
+  const startedAt = Date.now();
+  let automation = null;
+
+  try {
+    const options = parseOptions(event);
+
+    if (!automationPromise) {
+      automationPromise = (async () => {
+        const instance = new PressReleaseAutomation();
+        await instance.initialize();
+        return instance;
+      })().catch(error => {
+        automationPromise = null;
+        throw error;
+      });
+    }
+    automation = await automationPromise;
+
+    // The request ID doubles as run ID, linking our log lines to the invocation in CloudWatch
+    const result = await automation.runCycle({ ...options, runId: context?.awsRequestId });
+
+    return {
+      ok: result.failedIssuers.length === 0,
+      ...options,
+      ...result,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    (automation?.logger || console).error('Lambda invocation failed:', error.message);
+    return { ok: false, error: error.message, durationMs: Date.now() - startedAt };
+  } finally {
+    // Don't leave Chromium or connections open while the container is frozen
+    await automation?.shutdown();
+  }
+}
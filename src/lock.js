@@ -0,0 +1,87 @@
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Lease-style lock that keeps overlapping runs from processing the same releases.
+ * The lease is renewed by a heartbeat while held, so only a crashed run's lock
+ * expires and can be taken over by the next run.
+ */
+export class RunLock {
+  constructor(store, options = {}, logger) {
+    this.store = store;
+    this.logger = logger;
+    this.name = options.name || 'run';
+    this.ttlMs = (options.ttlSeconds || 600) * 1000;
+    this.heartbeatMs = (options.heartbeatSeconds || Math.max(1, Math.floor(this.ttlMs / 3000))) * 1000;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+    this.heartbeat = null;
+    this.held = false;
+    this.lost = false;
+  }
+
+  /**
+   * Try to take the lock; logs who holds it when the run has to be skipped
+   */
+  async acquire() {
+    const previous = await this.store.readLock(this.name);
+    const acquired = await this.store.acquireLock(this.name, this.owner, this.ttlMs);
+
+    if (!acquired) {
+      const holder = (await this.store.readLock(this.name)) || previous;
+      const holderInfo = holder
+        ? `held by ${holder.owner} since ${holder.acquiredAt}, expires ${holder.expiresAt}`
+        : 'held by another run';
+      this.logger.warn(`Skipping run: lock "${this.name}" on ${this.store.description} is ${holderInfo}`);
+      return false;
+    }
+
+    if (previous && previous.owner !== this.owner) {
+      this.logger.warn(`Took over stale lock "${this.name}" from ${previous.owner} (expired ${previous.expiresAt})`);
+    }
+    this.logger.debug(`Acquired lock "${this.name}" as ${this.owner}`);
+
+    this.held = true;
+    this.lost = false;
+    this.startHeartbeat();
+    return true;
+  }
+
+  startHeartbeat() {
+    this.heartbeat = setInterval(async () => {
+      try {
+        if (!await this.store.renewLock(this.name, this.owner, this.ttlMs)) {
+          this.lost = true;
+          this.stopHeartbeat();
+          this.logger.error(`Lost lock "${this.name}", another run has taken it over`);
+        }
+      } catch (error) {
+        // Keep trying; the lease only runs out after the full TTL
+        this.logger.warn(`Failed to renew lock "${this.name}": ${error.message}`);
+      }
+    }, this.heartbeatMs);
+
+    // The heartbeat alone must not keep the process alive
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Stop renewing and drop the lock if it is still ours
+   */
+  async release() {
+    this.stopHeartbeat();
+    if (!this.held) return;
+
+    this.held = false;
+    try {
+      await this.store.releaseLock(this.name, this.owner);
+      this.logger.debug(`Released lock "${this.name}"`);
+    } catch (error) {
+      this.logger.warn(`Failed to release lock "${this.name}", it will expire after ${this.ttlMs / 1000}s: ${error.message}`);
+    }
+  }
+}
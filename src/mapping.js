@@ -0,0 +1,120 @@
+/**
+ * Webflow field mapping: collection field slug -> value template.
+ *
+ * A template is either a static JSON value or a string with `{{path}}`
+ * placeholders resolved against the release, e.g. `"{{title}}"`,
+ * `"{{issuer.listUrl}}?page=0"` or `"{{publishDate|date}}"`. An entry can
+ * also be an object `{ "template": "...", "type": "DateTime" }` to declare
+ * the expected Webflow field type.
+ */
+export const DEFAULT_FIELD_MAPPING = {
+  'name': '{{title}}',
+  'pm-body-html': '{{content}}',
+  'date-2': { template: '{{publishDate|date}}', type: 'DateTime' },
+  'read-more-link': '{{readMoreUrl}}'
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+// Fields managed by the client itself rather than the mapping
+const RESERVED_FIELDS = ['slug'];
+
+const BUILT_IN_FILTERS = {
+  lower: value => String(value).toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  trim: value => String(value).trim()
+};
+
+/**
+ * Normalise a mapping entry into { template, type }
+ */
+function normalizeEntry(entry) {
+  if (entry && typeof entry === 'object' && 'template' in entry) {
+    return { template: entry.template, type: entry.type || null };
+  }
+  return { template: entry, type: null };
+}
+
+/**
+ * Resolve a dotted path such as `issuer.name` against the context
+ */
+function resolvePath(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Render a single template against a context
+ */
+export function renderTemplate(template, context, filters = {}) {
+  if (typeof template !== 'string') return template;
+
+  const applyFilter = (value, filterName) => {
+    if (!filterName) return value;
+    const filter = filters[filterName] || BUILT_IN_FILTERS[filterName];
+    if (!filter) throw new Error(`Unknown field mapping filter: ${filterName}`);
+    return filter(value);
+  };
+
+  // A template that is a single placeholder keeps the raw value type
+  const single = template.match(/^\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}$/);
+  if (single) {
+    return applyFilter(resolvePath(context, single[1]), single[2]);
+  }
+
+  return template.replace(PLACEHOLDER, (match, path, filterName) => {
+    const value = applyFilter(resolvePath(context, path), filterName);
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * Build Webflow fieldData from a mapping
+ */
+export function renderFieldData(mapping, context, filters = {}) {
+  const fieldData = {};
+
+  for (const [slug, entry] of Object.entries(mapping)) {
+    if (entry == null) continue;
+    fieldData[slug] = renderTemplate(normalizeEntry(entry).template, context, filters);
+  }
+
+  return fieldData;
+}
+
+/**
+ * Check a mapping against the collection's field definitions.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+export function validateFieldMapping(mapping, fields = []) {
+  const problems = [];
+  const fieldsBySlug = new Map(fields.map(field => [field.slug, field]));
+  const availableSlugs = fields.map(field => field.slug).join(', ');
+
+  for (const [slug, entry] of Object.entries(mapping)) {
+    if (entry == null) continue;
+
+    if (RESERVED_FIELDS.includes(slug)) {
+      problems.push(`"${slug}" is generated automatically and cannot be mapped`);
+      continue;
+    }
+
+    const field = fieldsBySlug.get(slug);
+    if (!field) {
+      problems.push(`Field "${slug}" does not exist in the collection (available: ${availableSlugs})`);
+      continue;
+    }
+
+    const { type } = normalizeEntry(entry);
+    if (type && field.type !== type) {
+      problems.push(`Field "${slug}" is of type ${field.type}, but the mapping expects ${type}`);
+    }
+  }
+
+  for (const field of fields) {
+    if (field.isRequired && !RESERVED_FIELDS.includes(field.slug) && mapping[field.slug] == null) {
+      problems.push(`Required field "${field.slug}" (${field.type}) is not mapped`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,195 @@
+import http from 'http';
+import axios from 'axios';
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Render a label set as {name="value",...}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Stable key for a label set
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Base for metrics that keep one value per label set
+ */
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+  }
+}
+
+/**
+ * Distribution of observed values (e.g. durations in seconds) over cumulative buckets
+ */
+export class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Time an async function and observe its duration, also when it throws
+   */
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Process-wide metrics, rendered in the Prometheus text exposition format
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+export const registry = new Registry();
+
+export const metrics = {
+  releasesSeen: registry.register(new Counter('autopress_releases_seen_total', 'Releases found on the issuer list pages')),
+  releasesNew: registry.register(new Counter('autopress_releases_new_total', 'Releases not processed before')),
+  itemsCreated: registry.register(new Counter('autopress_items_created_total', 'Webflow items created')),
+  itemsUpdated: registry.register(new Counter('autopress_items_updated_total', 'Webflow items updated with corrected content')),
+  itemsSkipped: registry.register(new Counter('autopress_items_skipped_total', 'Releases skipped because the Webflow item already exists')),
+  itemErrors: registry.register(new Counter('autopress_item_errors_total', 'Releases that could not be written to Webflow')),
+  contentFetched: registry.register(new Counter('autopress_content_fetched_total', 'Release bodies fetched, by source (http, browser, fallback placeholder)')),
+  contentRetries: registry.register(new Counter('autopress_content_retries_total', 'Refetches of releases queued with placeholder content, by result')),
+  browserDuration: registry.register(new Histogram('autopress_browser_extraction_duration_seconds', 'Time to extract a release body in the headless browser')),
+  webflowDuration: registry.register(new Histogram('autopress_webflow_request_duration_seconds', 'Webflow API request latency', [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30])),
+  itemsWithdrawn: registry.register(new Counter('autopress_items_withdrawn_total', 'Releases withdrawn from Webflow after disappearing from Euronext, by action')),
+  webflowRetries: registry.register(new Counter('autopress_webflow_retries_total', 'Webflow API requests retried, by reason (rate_limited, server_error, network)')),
+  runs: registry.register(new Counter('autopress_runs_total', 'Automation cycles by result')),
+  runDuration: registry.register(new Histogram('autopress_run_duration_seconds', 'Duration of automation cycles', [1, 5, 10, 30, 60, 120, 300, 600])),
+  lastSuccess: registry.register(new Gauge('autopress_last_success_timestamp_seconds', 'Unix time of the last cycle without failed issuers'))
+};
+
+/**
+ * Serve the registry on /metrics; returns the server so it can be closed
+ */
+export function startMetricsServer(port, logger) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(registry.render());
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  server.listen(port, () => logger.info(`Metrics available on http://localhost:${port}/metrics`));
+  server.on('error', error => logger.error(`Metrics server failed: ${error.message}`));
+  return server;
+}
+
+/**
+ * Push the registry to a Pushgateway-compatible URL, replacing the job's previous push
+ */
+export async function pushMetrics(gatewayUrl, job, logger) {
+  try {
+    await axios.put(`${gatewayUrl.replace(/\/$/, '')}/metrics/job/${encodeURIComponent(job)}`, registry.render(), {
+      headers: { 'Content-Type': 'text/plain; version=0.0.4' },
+      timeout: 10000
+    });
+    logger.debug(`Pushed metrics to ${gatewayUrl}`);
+  } catch (error) {
+    logger.warn(`Failed to push metrics to ${gatewayUrl}: ${error.message}`);
+  }
+}
@@ -0,0 +1,129 @@
+import axios from 'axios';
+import { retry } from './utils.js';
+import { renderTemplate } from './mapping.js';
+
+/**
+ * Events a channel can subscribe to ("*" subscribes to all)
+ */
+export const NOTIFICATION_EVENTS = ['item.created', 'item.review', 'item.published', 'item.withdrawn', 'item.failed', 'scrape.failed', 'run.failed'];
+
+/**
+ * Default message text per event; `{{path}}` placeholders as in the field mapping
+ */
+const DEFAULT_MESSAGES = {
+  'item.created': 'New press release from {{issuer.name}} in Webflow: {{release.title}} ({{release.dateText}}) {{release.url}}',
+  'item.review': 'Draft waiting for review for {{issuer.name}}: {{release.title}} ({{release.dateText}}) {{release.url}}',
+  'item.published': 'Published reviewed draft for {{issuer.name}}: {{release.title}} ({{release.dateText}}) {{release.url}}',
+  'item.withdrawn': 'Release pulled from Euronext for {{issuer.name}}: {{release.title}} ({{release.dateText}}). Webflow action: {{item.action}}',
+  'item.failed': 'Failed to write {{release.title}} for {{issuer.name}} to Webflow: {{error}}',
+  'scrape.failed': 'Automation failed for issuer {{issuer.name}}: {{error}}',
+  'run.failed': 'Press release automation failed: {{error}}'
+};
+
+/**
+ * Default request body per channel type; `text` is the rendered message
+ */
+const DEFAULT_PAYLOADS = {
+  slack: context => ({ text: context.text }),
+  // Adaptive card, as accepted by Teams Workflows incoming webhooks
+  teams: context => ({
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.4',
+        body: [{ type: 'TextBlock', text: context.text, wrap: true }]
+      }
+    }]
+  }),
+  webhook: ({ event, text, issuer, release, item, error, timestamp }) => ({ event, text, issuer, release, item, error, timestamp })
+};
+
+/**
+ * Render every string in a JSON template against the context
+ */
+function renderDeep(template, context) {
+  if (Array.isArray(template)) return template.map(value => renderDeep(value, context));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderDeep(value, context)]));
+  }
+  return renderTemplate(template, context);
+}
+
+/**
+ * Sends run events to webhooks and Slack/Teams incoming webhooks.
+ * Delivery failures are logged and never fail the run.
+ */
+export class Notifier {
+  constructor(config, logger) {
+    this.logger = logger;
+    const notificationsConfig = config.notifications || {};
+    this.enabled = notificationsConfig.enabled === true;
+
+    this.channels = (notificationsConfig.channels || []).map((channel, index) => {
+      const type = channel.type || 'webhook';
+      if (!DEFAULT_PAYLOADS[type]) {
+        throw new Error(`Notification channel ${channel.name || index} has unknown type "${type}" (use webhook, slack or teams)`);
+      }
+
+      const events = channel.events || ['*'];
+      const unknown = events.filter(event => event !== '*' && !NOTIFICATION_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`Notification channel ${channel.name || index} has unknown event(s): ${unknown.join(', ')}`);
+      }
+
+      return {
+        ...channel,
+        name: channel.name || `${type}-${index}`,
+        type,
+        events,
+        // Webhook URLs are secrets, so they are normally read from the environment
+        url: channel.url || (channel.urlEnv ? process.env[channel.urlEnv] : null)
+      };
+    });
+  }
+
+  /**
+   * Channels that receive an event for an issuer
+   */
+  routesFor(event, issuerId) {
+    return this.channels.filter(channel =>
+      channel.url
+      && (channel.events.includes('*') || channel.events.includes(event))
+      && (!channel.issuers || !issuerId || channel.issuers.includes(issuerId))
+    );
+  }
+
+  /**
+   * Send an event to every channel subscribed to it
+   */
+  async notify(event, data = {}) {
+    if (!this.enabled) return;
+
+    const channels = this.routesFor(event, data.issuer?.id);
+    if (channels.length === 0) return;
+
+    const baseContext = { event, timestamp: new Date().toISOString(), ...data };
+
+    await Promise.all(channels.map(async channel => {
+      try {
+        const context = {
+          ...baseContext,
+          text: renderTemplate(channel.messages?.[event] || DEFAULT_MESSAGES[event], baseContext)
+        };
+        const payload = channel.payload ? renderDeep(channel.payload, context) : DEFAULT_PAYLOADS[channel.type](context);
+
+        await retry(() => axios.post(channel.url, payload, {
+          headers: { 'Content-Type': 'application/json', ...channel.headers },
+          timeout: 10000
+        }), 2, 1000);
+
+        this.logger.debug(`Sent ${event} notification to ${channel.name}`);
+      } catch (error) {
+        this.logger.warn(`Failed to send ${event} notification to ${channel.name}: ${error.message}`);
+      }
+    }));
+  }
+}
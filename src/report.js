@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Collect the per-issuer previews of a dry run into one report
+ */
+export function buildDryRunReport(result) {
+  return {
+    generatedAt: new Date().toISOString(),
+    issuers: result.issuers.map(({ issuer, found, error, preview }) => ({
+      issuer,
+      found,
+      ...(error ? { error } : {}),
+      create: preview?.create || [],
+      update: preview?.update || [],
+      skipped: preview?.skipped || []
+    }))
+  };
+}
+
+/**
+ * Render one request of the report as a field table
+ */
+function renderItem(item) {
+  const rows = Object.entries(item.body.fieldData).map(([slug, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    // Rich text is shown rendered (sandboxed) as well as as source
+    const rendered = typeof value === 'string' && /<[a-z][\s\S]*>/i.test(value)
+      ? `<iframe sandbox srcdoc="${escapeHtml(value)}"></iframe><details><summary>HTML</summary><pre>${escapeHtml(text)}</pre></details>`
+      : `<code>${escapeHtml(text)}</code>`;
+    return `<tr><th>${escapeHtml(slug)}</th><td>${rendered}</td></tr>`;
+  }).join('');
+
+  const attachments = item.attachments?.length
+    ? `<p>Attachments to upload: ${item.attachments.map(a => `<a href="${escapeHtml(a.url)}">${escapeHtml(a.fileName)}</a>`).join(', ')}</p>`
+    : '';
+  const draft = item.body.isDraft === undefined ? '' : item.body.isDraft ? ' (draft)' : ' (published)';
+
+  return `<section>
+<h3>${escapeHtml(item.title)}</h3>
+<p><code>${item.method} ${escapeHtml(item.url)}</code>${draft}</p>
+<table>${rows}</table>
+${attachments}
+</section>`;
+}
+
+/**
+ * Render a dry-run report as a standalone HTML page
+ */
+export function renderHtmlReport(report) {
+  const issuers = report.issuers.map(issuer => `<h2>${escapeHtml(issuer.issuer)}</h2>
+${issuer.error ? `<p class="error">Failed: ${escapeHtml(issuer.error)}</p>` : ''}
+<p>${issuer.found} found, ${issuer.create.length} to create, ${issuer.update.length} to update, ${issuer.skipped.length} already in Webflow</p>
+${issuer.create.map(renderItem).join('\n')}
+${issuer.update.map(renderItem).join('\n')}
+${issuer.skipped.length ? `<ul>${issuer.skipped.map(item => `<li>Skipped: ${escapeHtml(item.title)} (${escapeHtml(item.reason)})</li>`).join('')}</ul>` : ''}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Dry run ${escapeHtml(report.generatedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 0.4rem; text-align: left; vertical-align: top; }
+th { width: 12rem; }
+iframe { width: 100%; height: 20rem; border: 1px solid #eee; }
+.error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>Dry run report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}. Nothing was written to Webflow or to the processed state.</p>
+${issuers}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a report as JSON or HTML, chosen by the file extension
+ */
+export async function writeReport(report, filePath) {
+  const outputPath = path.resolve(process.cwd(), filePath);
+  const body = path.extname(outputPath).toLowerCase() === '.html'
+    ? renderHtmlReport(report)
+    : JSON.stringify(report, null, 2);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, body);
+  return outputPath;
+}
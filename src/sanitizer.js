@@ -0,0 +1,136 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Tags kept as-is when sanitising press release HTML
+ */
+export const DEFAULT_ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'code',
+  'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'small',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'a', 'img', 'figure', 'figcaption'
+];
+
+/**
+ * Attributes kept per tag ('*' applies to every allowed tag)
+ */
+export const DEFAULT_ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan'],
+  ol: ['start', 'type']
+};
+
+// Elements removed together with their content; anything else not allowed is unwrapped
+const DROPPED_TAGS = [
+  'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'form', 'input',
+  'button', 'select', 'textarea', 'svg', 'canvas', 'template', 'head', 'meta', 'link'
+];
+
+// Headings are shifted below the item title, which the CMS renders as the page heading
+const RENAMED_TAGS = { h1: 'h2' };
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+// Stands in for a missing base URL so relative URLs still parse
+const PLACEHOLDER_BASE = 'https://relative.invalid/';
+
+/**
+ * Resolve a URL attribute, returning null for unsafe schemes.
+ * The scheme is checked on the parsed URL, since the parser ignores tabs and
+ * newlines that a pattern on the raw value would not (java\tscript:).
+ */
+function resolveUrl(value, baseUrl) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('#')) return trimmed;
+
+  let url;
+  try {
+    url = new URL(trimmed, baseUrl || PLACEHOLDER_BASE);
+  } catch (error) {
+    return null;
+  }
+  if (!SAFE_PROTOCOLS.has(url.protocol)) return null; // javascript:, data:, ...
+
+  // Without a base URL a relative URL is kept as written
+  if (!baseUrl && url.origin === new URL(PLACEHOLDER_BASE).origin) return trimmed;
+  return url.toString();
+}
+
+/**
+ * Sanitise an HTML fragment against a whitelist of tags and attributes.
+ * Unicode text is preserved untouched.
+ */
+export function sanitizeHtml(html, options = {}) {
+  if (!html) return '';
+
+  const allowedTags = new Set(options.allowedTags || DEFAULT_ALLOWED_TAGS);
+  const allowedAttributes = options.allowedAttributes || DEFAULT_ALLOWED_ATTRIBUTES;
+  // decodeEntities: false keeps Unicode text (æøå etc.) as characters instead of numeric entities
+  const $ = cheerio.load(html, { decodeEntities: false }, false);
+
+  const walk = (nodes) => {
+    nodes.each((index, node) => {
+      if (node.type === 'comment' || node.type === 'directive') {
+        $(node).remove();
+        return;
+      }
+      if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') return;
+
+      const $node = $(node);
+      const tagName = node.name.toLowerCase();
+
+      if (DROPPED_TAGS.includes(tagName)) {
+        $node.remove();
+        return;
+      }
+
+      // Sanitise children first so unwrapped content is already clean
+      walk($node.contents());
+
+      const targetTag = RENAMED_TAGS[tagName] || tagName;
+      if (!allowedTags.has(targetTag)) {
+        $node.replaceWith($node.contents());
+        return;
+      }
+      node.name = targetTag;
+
+      const keep = [...(allowedAttributes['*'] || []), ...(allowedAttributes[targetTag] || [])];
+      for (const name of Object.keys(node.attribs || {})) {
+        if (!keep.includes(name)) {
+          $node.removeAttr(name);
+          continue;
+        }
+        if (URL_ATTRIBUTES.includes(name)) {
+          const url = resolveUrl(node.attribs[name], options.baseUrl);
+          if (url) {
+            $node.attr(name, url);
+          } else {
+            $node.removeAttr(name);
+          }
+        }
+      }
+
+      if (targetTag === 'a' && node.attribs.href && /^https?:/i.test(node.attribs.href)) {
+        $node.attr('rel', 'noopener');
+      }
+    });
+  };
+
+  walk($.root().contents());
+
+  // Drop paragraphs and list items left empty after unwrapping
+  $('p, li, h2, h3, h4, h5, h6').each((index, element) => {
+    const $element = $(element);
+    if (!$element.text().trim() && $element.find('img, br').length === 0) {
+      $element.remove();
+    }
+  });
+
+  return $.html()
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .replace(/(<br\s*\/?>\s*){3,}/gi, '<br><br>')
+    .trim();
+}
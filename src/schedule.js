@@ -0,0 +1,216 @@
+/**
+ * Schedule evaluation in the configured IANA timezone.
+ *
+ * Times are compared as wall-clock time in `schedule.timezone`, so DST
+ * changes and the host's own timezone (UTC on Lambda/CI) do not shift the
+ * window. A schedule consists of:
+ *   daysOfWeek   "Monday-Friday", "Mon,Wed,Fri", "Sunday-Thursday" or an array of day names
+ *   windows      [{ "start": "06:00", "end": "12:00", "days": "Mon-Fri" }, ...]
+ *                (falls back to one window from startHour/endHour)
+ *   holidays     [{ "date": "2026-12-24", "name": "...", "closed": true | "windows": [...] }]
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits a date into wall-clock parts for a timezone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ */
+export function getZonedTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const hour = parseInt(parts.hour);
+  const minute = parseInt(parts.minute);
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    weekdayName: parts.weekday,
+    hour,
+    minute,
+    minutes: hour * 60 + minute,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Resolve a day name or its three-letter abbreviation to 0 (Sunday) - 6 (Saturday)
+ */
+function parseDay(name) {
+  const lower = String(name).trim().toLowerCase();
+  const index = DAY_NAMES.findIndex(day => day === lower || day.slice(0, 3) === lower);
+  if (index === -1) {
+    throw new Error(`Invalid day of week: "${name}"`);
+  }
+  return index;
+}
+
+/**
+ * Parse a day-of-week spec into a set of day indexes. Ranges may wrap (e.g. "Friday-Monday").
+ */
+export function parseDaysOfWeek(spec) {
+  if (spec == null) return new Set(DAY_NAMES.keys());
+
+  const items = Array.isArray(spec) ? spec : String(spec).split(',');
+  const days = new Set();
+
+  for (const item of items) {
+    const [from, to] = String(item).split('-');
+    const start = parseDay(from);
+    const end = to === undefined ? start : parseDay(to);
+
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Parse "HH:MM" (or a bare hour) into minutes after midnight; "24:00" marks the end of the day
+ */
+export function parseTime(value) {
+  const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2] || '0') : NaN;
+
+  if (!match || parseInt(match[2] || '0') > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid schedule time: "${value}"`);
+  }
+  return minutes;
+}
+
+/**
+ * Format a whole hour as "HH:00"
+ */
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Format minutes after midnight as "HH:MM"
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Overlap of a day's windows with a holiday's windows, so a holiday never opens time outside them
+ */
+function intersectWindows(windows, holidayWindows) {
+  return windows.flatMap(regular => holidayWindows.map(narrowed => ({
+    start: Math.max(regular.start, narrowed.start),
+    end: Math.min(regular.end, narrowed.end)
+  })))
+    .filter(window => window.end > window.start)
+    .map(window => ({ ...window, days: null, label: `${formatMinutes(window.start)}-${formatMinutes(window.end)}` }));
+}
+
+/**
+ * Normalise a window definition into { start, end, days, label }
+ */
+function parseWindow(window) {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+
+  if (end <= start) {
+    throw new Error(`Schedule window ${window.start}-${window.end} must end after it starts (split windows that cross midnight)`);
+  }
+
+  return {
+    start,
+    end,
+    days: window.days ? parseDaysOfWeek(window.days) : null,
+    label: `${window.start}-${window.end}`
+  };
+}
+
+/**
+ * Validate a schedule configuration and turn it into a form that can be evaluated
+ */
+export function createSchedule(scheduleConfig = {}) {
+  const timezone = scheduleConfig.timezone || 'UTC';
+
+  try {
+    getFormatter(timezone);
+  } catch (error) {
+    throw new Error(`Invalid schedule timezone: "${timezone}"`);
+  }
+
+  const windowConfigs = Array.isArray(scheduleConfig.windows) && scheduleConfig.windows.length > 0
+    ? scheduleConfig.windows
+    : [{ start: formatHour(scheduleConfig.startHour ?? 0), end: formatHour(scheduleConfig.endHour ?? 24) }];
+
+  const holidays = new Map();
+  for (const holiday of scheduleConfig.holidays || []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday.date || '')) {
+      throw new Error(`Holiday entry needs a YYYY-MM-DD date: ${JSON.stringify(holiday)}`);
+    }
+    holidays.set(holiday.date, {
+      name: holiday.name || holiday.date,
+      closed: !Array.isArray(holiday.windows) || holiday.closed === true,
+      windows: (holiday.windows || []).map(parseWindow)
+    });
+  }
+
+  return {
+    timezone,
+    days: parseDaysOfWeek(scheduleConfig.daysOfWeek),
+    windows: windowConfigs.map(parseWindow),
+    holidays
+  };
+}
+
+/**
+ * Evaluate a schedule at an instant.
+ * Returns { active, reason, local } where `local` is the wall-clock time in the schedule's timezone.
+ */
+export function evaluateSchedule(schedule, date = new Date()) {
+  const local = getZonedTime(date, schedule.timezone);
+  const at = `${local.weekdayName} ${local.dateKey} ${local.time} ${schedule.timezone}`;
+
+  if (!schedule.days.has(local.weekday)) {
+    return { active: false, reason: `${at} is not a scheduled day`, local };
+  }
+
+  // Holidays can only skip or narrow a day that is otherwise scheduled
+  let windows = schedule.windows.filter(window => !window.days || window.days.has(local.weekday));
+  const holiday = schedule.holidays.get(local.dateKey);
+  if (holiday) {
+    if (holiday.closed) {
+      return { active: false, reason: `${at} is a holiday (${holiday.name})`, local };
+    }
+    windows = intersectWindows(windows, holiday.windows);
+  }
+
+  const window = windows.find(candidate => local.minutes >= candidate.start && local.minutes < candidate.end);
+  if (!window) {
+    const scheduled = windows.map(candidate => candidate.label).join(', ') || 'none';
+    const holidayNote = holiday ? ` on holiday ${holiday.name}` : '';
+    return { active: false, reason: `${at} is outside the scheduled windows${holidayNote} (${scheduled})`, local };
+  }
+
+  return { active: true, reason: `${at} is within ${window.label}`, local };
+}
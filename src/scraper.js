@@ -1,12 +1,71 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-import puppeteer from 'puppeteer';
-import { retry, Logger, cleanHtmlContent, generateReleaseId } from './utils.js';
+import { retry, Logger, attachmentFileName, cleanHtmlContent, generateReleaseId, mapWithConcurrency, parseReleaseDateKey, withLogContext } from './utils.js';
+import { sanitizeHtml } from './sanitizer.js';
+import { BrowserPool } from './browser.js';
+import { renderTemplate } from './mapping.js';
+import { metrics } from './metrics.js';
+
+const DEFAULT_CONTENT_URL_TEMPLATE = '{{baseUrl}}/en/pd_press/{{nodeId}}';
+
+const DEFAULT_ATTACHMENT_EXTENSIONS = [
+  'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'zip',
+  'jpg', 'jpeg', 'png', 'gif', 'webp'
+];
+
+// Containers that hold the release body inside the modal, most specific first
+const CONTENT_CONTAINER_SELECTORS = [
+  '.modal-body .row:nth-child(3) .col-12',
+  '.modal-body .content-text',
+  '.press-release-body',
+  '.news-content',
+  '.main-text'
+];
+
+/**
+ * Check that a container holds the release text rather than the metadata block
+ */
+function isBodyText(text) {
+  return !!text && text.length > 50 && !text.includes('ISIN') && !text.includes('Symbol') && !text.includes('Source');
+}
+
+/**
+ * Lower-case file extension of a URL path, if any
+ */
+function getUrlExtension(url) {
+  try {
+    const match = new URL(url).pathname.match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Client errors (other than 429) will not go away on a retry
+ */
+function isRetryableFetchError(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
 
 export class EuronextScraper {
-  constructor(config) {
+  constructor(config, { browserPool } = {}) {
     this.config = config;
-    this.logger = new Logger(config.logging);
+    this.logger = new Logger(config.logging, { component: 'scraper' });
+    // A pool passed in is shared with other scrapers and closed by its owner
+    this.browserPool = browserPool || new BrowserPool(config, this.logger.child({ component: 'browser' }));
+    this.ownsBrowserPool = !browserPool;
+    this.issuerId = config.issuer?.id || 'default';
+  }
+
+  /**
+   * Release the browser if this scraper owns it
+   */
+  async close() {
+    if (this.ownsBrowserPool) {
+      await this.browserPool.close();
+    }
   }
 
   /**
@@ -16,88 +75,7 @@ export class EuronextScraper {
     this.logger.info('Fetching press release list from Euronext');
     
     return retry(async () => {
-      const response = await axios.get(this.config.euronext.listUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-        },
-        timeout: 30000
-      });
-
-      const $ = cheerio.load(response.data);
-      const releases = [];
-
-      // Parse the press release list - try multiple selectors
-      const selectors = [
-        'tr', 'tbody tr', '.table-row', '.list-item', '.press-release-item',
-        '[data-testid="table-row"]', '.row', 'tr[role="row"]'
-      ];
-      
-      let foundReleases = false;
-      
-      for (const selector of selectors) {
-        if (foundReleases) break;
-        
-        $(selector).each((index, element) => {
-          const $el = $(element);
-          
-          // Skip header rows
-          if ($el.find('th').length > 0) return;
-          
-          // Try to extract title from various possible locations
-          const titleSelectors = [
-            'td:nth-child(3)', 'td:nth-child(2)', 'td:nth-child(4)',
-            '.title', '.press-release-title', 'h3', 'h4', 'a[title]',
-            'td a', '.link-title'
-          ];
-          
-          let title = '';
-          let link = '';
-          let nodeId = '';
-          
-          for (const titleSel of titleSelectors) {
-            const titleEl = $el.find(titleSel).first();
-            if (titleEl.length && titleEl.text().trim()) {
-              title = titleEl.text().trim();
-              link = titleEl.attr('href') || titleEl.find('a').attr('href') || $el.find('a').first().attr('href');
-              
-              // Extract node ID for modal-based press releases
-              const dataNodeNid = titleEl.attr('data-node-nid') || titleEl.find('a').attr('data-node-nid');
-              if (dataNodeNid) {
-                nodeId = dataNodeNid;
-                // Construct proper URL using node ID
-                link = `https://live.euronext.com/en/pd_press/${nodeId}`;
-              }
-              break;
-            }
-          }
-          
-          // Try to extract date
-          const dateSelectors = [
-            'td:first-child', 'td:nth-child(1)', '.date', '.time', '.release-date'
-          ];
-          
-          let dateText = '';
-          for (const dateSel of dateSelectors) {
-            const dateEl = $el.find(dateSel).first();
-            if (dateEl.length && dateEl.text().trim()) {
-              dateText = dateEl.text().trim();
-              break;
-            }
-          }
-          
-          if (title && title.length > 10) {
-            foundReleases = true;
-            releases.push({
-              title,
-              dateText: dateText || 'Unknown date',
-              url: link ? (link.startsWith('http') ? link : `${this.config.euronext.baseUrl}${link}`) : '#',
-              nodeId: nodeId || null,
-              id: generateReleaseId(title, dateText || 'unknown'),
-              rawDate: dateText // Keep for sorting
-            });
-          }
-        });
-      }
+      const releases = await this.fetchListPage(this.config.euronext.listUrl);
 
       this.logger.info(`DEBUG: Found ${releases.length} total releases before filtering`);
       if (releases.length > 0) {
@@ -166,293 +144,582 @@ export class EuronextScraper {
   }
 
   /**
-   * Fetch detailed content from press release modal using Puppeteer
+   * Fetch a single page of the press release list without date filtering
+   */
+  async fetchPressReleasePage(page = 0) {
+    this.logger.info(`Fetching press release list page ${page} from Euronext`);
+
+    return retry(
+      () => this.fetchListPage(`${this.config.euronext.listUrl}?page=${page}`),
+      this.config.euronext.retryAttempts,
+      this.config.euronext.retryDelayMs
+    );
+  }
+
+  /**
+   * Download and parse one list page into release stubs
+   */
+  async fetchListPage(url) {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+      },
+      timeout: 30000
+    });
+
+    const $ = cheerio.load(response.data);
+    const releases = [];
+
+    // Parse the press release list - try multiple selectors
+    const selectors = [
+      'tr', 'tbody tr', '.table-row', '.list-item', '.press-release-item',
+      '[data-testid="table-row"]', '.row', 'tr[role="row"]'
+    ];
+    
+    let foundReleases = false;
+    
+    for (const selector of selectors) {
+      if (foundReleases) break;
+      
+      $(selector).each((index, element) => {
+        const $el = $(element);
+        
+        // Skip header rows
+        if ($el.find('th').length > 0) return;
+        
+        // Try to extract title from various possible locations
+        const titleSelectors = [
+          'td:nth-child(3)', 'td:nth-child(2)', 'td:nth-child(4)',
+          '.title', '.press-release-title', 'h3', 'h4', 'a[title]',
+          'td a', '.link-title'
+        ];
+        
+        let title = '';
+        let link = '';
+        let nodeId = '';
+        
+        for (const titleSel of titleSelectors) {
+          const titleEl = $el.find(titleSel).first();
+          if (titleEl.length && titleEl.text().trim()) {
+            title = titleEl.text().trim();
+            link = titleEl.attr('href') || titleEl.find('a').attr('href') || $el.find('a').first().attr('href');
+            
+            // Extract node ID for modal-based press releases
+            const dataNodeNid = titleEl.attr('data-node-nid') || titleEl.find('a').attr('data-node-nid');
+            if (dataNodeNid) {
+              nodeId = dataNodeNid;
+              // Construct proper URL using node ID
+              link = `https://live.euronext.com/en/pd_press/${nodeId}`;
+            }
+            break;
+          }
+        }
+        
+        // Try to extract date
+        const dateSelectors = [
+          'td:first-child', 'td:nth-child(1)', '.date', '.time', '.release-date'
+        ];
+        
+        let dateText = '';
+        for (const dateSel of dateSelectors) {
+          const dateEl = $el.find(dateSel).first();
+          if (dateEl.length && dateEl.text().trim()) {
+            dateText = dateEl.text().trim();
+            break;
+          }
+        }
+        
+        if (title && title.length > 10) {
+          foundReleases = true;
+          releases.push({
+            title,
+            dateText: dateText || 'Unknown date',
+            url: link ? (link.startsWith('http') ? link : `${this.config.euronext.baseUrl}${link}`) : '#',
+            nodeId: nodeId || null,
+            id: generateReleaseId(title, dateText || 'unknown'),
+            rawDate: dateText, // Keep for sorting
+            listPageUrl: url
+          });
+        }
+      });
+    }
+
+    return releases;
+  }
+
+  /**
+   * Get the release date as a YYYY-MM-DD key, or null if it cannot be parsed
+   */
+  getReleaseDateKey(release) {
+    return parseReleaseDateKey(release.rawDate || release.dateText);
+  }
+
+  /**
+   * Fetch detailed press release content, over HTTP first and with the shared browser as fallback
    */
   async fetchPressReleaseContent(release) {
     this.logger.info(`Fetching content for: ${release.title}`);
     
     if (!release.nodeId) {
       this.logger.warn(`No node ID for release: ${release.title}`);
-      return {
-        ...release,
-        content: `<h2>${release.title}</h2><p>Press release content from ${release.dateText}. <a href="${release.url}">Read full article</a></p>`,
-        publishDate: release.dateText,
-        scrapedAt: new Date().toISOString()
-      };
+      return this.buildFallbackRelease(release);
+    }
+
+    // The legacy text reflow needs the rendered modal, so it always uses the browser
+    const useHttp = (this.config.euronext.contentSource || 'http') === 'http'
+      && this.config.euronext.contentMode !== 'text';
+
+    if (useHttp) {
+      try {
+        const extracted = await this.fetchContentOverHttp(release);
+        if (extracted.content) {
+          return this.buildContentRelease(release, extracted, 'http');
+        }
+        this.logger.info(`No usable body over HTTP for: ${release.title}`);
+      } catch (error) {
+        this.logger.warn(`HTTP content fetch failed for ${release.title}: ${error.message}`);
+      }
+
+      if (this.config.euronext.browserFallback === false) {
+        return this.buildFallbackRelease(release);
+      }
+      this.logger.info(`Falling back to browser extraction for: ${release.title}`);
     }
 
     try {
-      // Launch Puppeteer browser with timeout protection
-      const browser = await puppeteer.launch({
-        headless: 'new',
-        timeout: 30000,  // 30 second timeout for browser launch
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--disable-web-security',  // Help with CORS issues
-          '--disable-features=VizDisplayCompositor'
-        ]
-      });
+      const listUrl = release.listPageUrl || this.config.euronext.listUrl;
+      const extracted = await metrics.browserDuration.time({ issuer: this.issuerId }, () =>
+        this.browserPool.withPage(listUrl, page => this.extractFromModal(page, release))
+      );
 
-      const page = await browser.newPage();
-      
-      // Set user agent and viewport
-      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setViewport({ width: 1920, height: 1080 });
+      if (extracted.content) {
+        return this.buildContentRelease(release, extracted, 'browser');
+      }
 
-      this.logger.info(`Loading Euronext list page to access modal for: ${release.title}`);
-      
-      // Navigate to the list page first with multiple retry strategies
-      const maxRetries = 3;
-      let pageLoaded = false;
-      
-      for (let i = 0; i < maxRetries && !pageLoaded; i++) {
-        try {
-          await page.goto(this.config.euronext.listUrl, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-          });
-          pageLoaded = true;
-        } catch (error) {
-          this.logger.warn(`Page load attempt ${i + 1} failed: ${error.message}`);
-          if (i < maxRetries - 1) {
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
-          } else {
-            throw error;
-          }
-        }
+      this.logger.warn(`No modal content found for: ${release.title}`);
+    } catch (error) {
+      this.logger.error(`Failed to fetch modal content for ${release.title}:`, error.message);
+    }
+
+    // Fallback to basic content
+    return this.buildFallbackRelease(release);
+  }
+
+  /**
+   * Build a release with extracted content
+   */
+  buildContentRelease(release, extracted, contentSource) {
+    this.logger.info(`Successfully extracted content via ${contentSource} for: ${release.title} (${extracted.content.length} characters)`);
+    metrics.contentFetched.inc({ issuer: this.issuerId, source: contentSource });
+    return {
+      ...release,
+      content: extracted.content,
+      attachments: extracted.attachments,
+      contentSource,
+      publishDate: release.dateText,
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Open a release's modal on a loaded list page and extract its content
+   */
+  async extractFromModal(page, release) {
+    this.logger.info(`Clicking on press release: ${release.title} (Node ID: ${release.nodeId})`);
+
+    // Find and click the press release link to open the modal
+    const linkSelector = `a[data-node-nid="${release.nodeId}"]`;
+    const linkExists = await page.$(linkSelector);
+    if (!linkExists) {
+      throw new Error(`Press release link not found for node ID: ${release.nodeId}`);
+    }
+
+    await page.click(linkSelector);
+
+    // Wait for the modal and for its body to be populated
+    const modalSelector = `#CompanyPressRelease-${release.nodeId}`;
+    await page.waitForSelector(modalSelector, { visible: true, timeout: 10000 });
+    try {
+      await page.waitForFunction(
+        (selector) => (document.querySelector(`${selector} .modal-body`)?.textContent?.trim().length || 0) > 50,
+        { timeout: 10000 },
+        modalSelector
+      );
+    } catch (error) {
+      this.logger.warn(`Modal body stayed empty for: ${release.title}`);
+    }
+
+    this.logger.info(`Modal opened, extracting content for: ${release.title}`);
+
+    const contentMode = this.config.euronext.contentMode || 'html';
+    let content = null;
+
+    if (contentMode === 'html') {
+      content = await this.extractModalHtml(page, release.nodeId);
+      if (!content) {
+        this.logger.warn(`No usable HTML body in modal for: ${release.title}`);
       }
+    }
 
-      // Wait for page to load
-      await new Promise(resolve => setTimeout(resolve, 3000));
+    const attachments = this.config.attachments?.enabled
+      ? await this.collectAttachmentLinks(page, release.nodeId)
+      : [];
+
+    // Legacy text reflow, used when configured or as an opt-in fallback
+    if (contentMode === 'text' || (!content && this.config.euronext.textFallback)) {
+      const textContent = await this.extractModalText(page, release.nodeId);
+      if (textContent) {
+        // Final cleanup and formatting
+        content = this.cleanupContent(textContent);
+      }
+    }
 
-      this.logger.info(`Clicking on press release: ${release.title} (Node ID: ${release.nodeId})`);
+    await this.browserPool.closeModal(page, modalSelector);
+
+    return { content, attachments };
+  }
+
+  /**
+   * Extract the modal as plain text re-flowed into paragraphs
+   */
+  async extractModalText(page, nodeId) {
+    return page.evaluate((nodeId) => {
+      const modal = document.querySelector(`#CompanyPressRelease-${nodeId}`);
+      if (!modal) return null;
+
+      // Look for the actual press release content text only
+      // This typically contains the main message/content of the press release
+      const contentSelectors = [
+        '.modal-body .row:nth-child(3) .col-12',  // Often the 3rd row contains main content
+        '.modal-body .content-text',
+        '.modal-body p',
+        '.press-release-body',
+        '.news-content',
+        '.main-text'
+      ];
 
-      // Find and click the press release link to open the modal
-      const linkSelector = `a[data-node-nid="${release.nodeId}"]`;
+      let contentText = '';
       
-      try {
-        // Check if the link exists first
-        const linkExists = await page.$(linkSelector);
-        if (!linkExists) {
-          throw new Error(`Press release link not found for node ID: ${release.nodeId}`);
-        }
-        
-        await page.waitForSelector(linkSelector, { timeout: 10000 });
-        await page.click(linkSelector);
-        
-        // Wait for modal to open
-        const modalSelector = `#CompanyPressRelease-${release.nodeId}`;
-        await page.waitForSelector(modalSelector, { timeout: 10000 });
-        
-        // Wait a bit more for content to load
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        this.logger.info(`Modal opened, extracting content for: ${release.title}`);
-
-        // Extract content from the modal
-        const content = await page.evaluate((nodeId) => {
-          const modal = document.querySelector(`#CompanyPressRelease-${nodeId}`);
-          if (!modal) return null;
-
-          // Look for the actual press release content text only
-          // This typically contains the main message/content of the press release
-          const contentSelectors = [
-            '.modal-body .row:nth-child(3) .col-12',  // Often the 3rd row contains main content
-            '.modal-body .content-text',
-            '.modal-body p',
-            '.press-release-body',
-            '.news-content',
-            '.main-text'
-          ];
-
-          let contentText = '';
-          
-          // First try to find a specific content container
-          for (const selector of contentSelectors) {
-            const elements = modal.querySelectorAll(selector);
-            for (const element of elements) {
-              const text = element.textContent?.trim();
-              // Look for substantial content (not just metadata)
-              if (text && text.length > 50 && !text.includes('ISIN') && !text.includes('Symbol') && !text.includes('Source')) {
-                contentText = text;
-                break;
-              }
-            }
-            if (contentText) break;
+      // First try to find a specific content container
+      for (const selector of contentSelectors) {
+        const elements = modal.querySelectorAll(selector);
+        for (const element of elements) {
+          const text = element.textContent?.trim();
+          // Look for substantial content (not just metadata)
+          if (text && text.length > 50 && !text.includes('ISIN') && !text.includes('Symbol') && !text.includes('Source')) {
+            contentText = text;
+            break;
           }
+        }
+        if (contentText) break;
+      }
 
-          // If no specific content found, extract all text and filter
-          if (!contentText) {
-            const modalBody = modal.querySelector('.modal-body');
-            if (modalBody) {
-              const allText = modalBody.textContent || '';
-              const lines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-              
-              // Find content lines (skip metadata)
-              const contentLines = lines.filter(line => {
-                return line.length > 20 &&
-                       !line.includes('ISIN') &&
-                       !line.includes('Symbol') &&
-                       !line.includes('Source') &&
-                       !line.includes('Provider') &&
-                       !line.includes('Market') &&
-                       !line.includes('Company Name') &&
-                       !line.includes('Subscribe') &&
-                       !line.match(/^\d{2}\s\w{3}\s\d{4}/) && // Date pattern
-                       !line.includes('Oslo Børs') &&
-                       !line.includes('Euronext');
-              });
-              
-              // Take the main content lines
-              if (contentLines.length > 0) {
-                contentText = contentLines.join('\n');
-              }
-            }
+      // If no specific content found, extract all text and filter
+      if (!contentText) {
+        const modalBody = modal.querySelector('.modal-body');
+        if (modalBody) {
+          const allText = modalBody.textContent || '';
+          const lines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+          
+          // Find content lines (skip metadata)
+          const contentLines = lines.filter(line => {
+            return line.length > 20 &&
+                   !line.includes('ISIN') &&
+                   !line.includes('Symbol') &&
+                   !line.includes('Source') &&
+                   !line.includes('Provider') &&
+                   !line.includes('Market') &&
+                   !line.includes('Company Name') &&
+                   !line.includes('Subscribe') &&
+                   !line.match(/^\d{2}\s\w{3}\s\d{4}/) && // Date pattern
+                   !line.includes('Oslo Børs') &&
+                   !line.includes('Euronext');
+          });
+          
+          // Take the main content lines
+          if (contentLines.length > 0) {
+            contentText = contentLines.join('\n');
           }
+        }
+      }
 
-          // Clean and format the content
-          if (contentText && contentText.length > 10) {
-            // Clean up the text
-            let cleanText = contentText
-              .replace(/\s+/g, ' ')           // Replace multiple spaces with single space
-              .replace(/\n\s*\n/g, '\n')      // Remove empty lines
-              .replace(/[^\x20-\x7E\s]/g, '') // Remove non-printable characters
-              .trim();
-            
-            // Split into logical paragraphs and sentences
-            const sentences = cleanText.split(/[.!?]+/).filter(s => s.trim().length > 0);
-            const paragraphs = [];
-            let currentParagraph = '';
-            
-            for (const sentence of sentences) {
-              const trimmedSentence = sentence.trim();
-              if (trimmedSentence.length === 0) continue;
-              
-              // Add period back if it doesn't end with punctuation
-              const formattedSentence = trimmedSentence + 
-                (trimmedSentence.match(/[.!?]$/) ? '' : '.');
-              
-              // Start new paragraph for certain patterns or if current is getting long
-              if (currentParagraph.length > 200 || 
-                  trimmedSentence.toLowerCase().includes('more information') ||
-                  trimmedSentence.toLowerCase().includes('contact') ||
-                  trimmedSentence.toLowerCase().includes('for further')) {
-                
-                if (currentParagraph.trim()) {
-                  paragraphs.push(currentParagraph.trim());
-                }
-                currentParagraph = formattedSentence + ' ';
-              } else {
-                currentParagraph += formattedSentence + ' ';
-              }
-            }
+      // Clean and format the content
+      if (contentText && contentText.length > 10) {
+        // Clean up the text
+        let cleanText = contentText
+          .replace(/\s+/g, ' ')           // Replace multiple spaces with single space
+          .replace(/\n\s*\n/g, '\n')      // Remove empty lines
+          .replace(/[^\x20-\x7E\s]/g, '') // Remove non-printable characters
+          .trim();
+        
+        // Split into logical paragraphs and sentences
+        const sentences = cleanText.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        const paragraphs = [];
+        let currentParagraph = '';
+        
+        for (const sentence of sentences) {
+          const trimmedSentence = sentence.trim();
+          if (trimmedSentence.length === 0) continue;
+          
+          // Add period back if it doesn't end with punctuation
+          const formattedSentence = trimmedSentence + 
+            (trimmedSentence.match(/[.!?]$/) ? '' : '.');
+          
+          // Start new paragraph for certain patterns or if current is getting long
+          if (currentParagraph.length > 200 || 
+              trimmedSentence.toLowerCase().includes('more information') ||
+              trimmedSentence.toLowerCase().includes('contact') ||
+              trimmedSentence.toLowerCase().includes('for further')) {
             
-            // Add the last paragraph
             if (currentParagraph.trim()) {
               paragraphs.push(currentParagraph.trim());
             }
-            
-            // Create clean HTML structure
-            if (paragraphs.length > 0) {
-              const htmlParagraphs = paragraphs
-                .filter(p => p.length > 5) // Remove very short paragraphs
-                .map(p => `  <p>${p}</p>`)
-                .join('\n');
-              
-              if (htmlParagraphs.length > 0) {
-                return `<div class="press-release-content">\n${htmlParagraphs}\n</div>`;
-              }
-            }
-            
-            // Fallback if paragraph processing fails
-            if (cleanText.length > 20) {
-              return `<div class="press-release-content">\n  <p>${cleanText}</p>\n</div>`;
-            }
+            currentParagraph = formattedSentence + ' ';
+          } else {
+            currentParagraph += formattedSentence + ' ';
           }
-
-          return null;
-        }, release.nodeId);
-
-        await browser.close();
-
-        if (content) {
-          // Final cleanup and formatting
-          const cleanedContent = this.cleanupContent(content);
-          this.logger.info(`Successfully extracted modal content for: ${release.title} (${cleanedContent.length} characters)`);
-          return {
-            ...release,
-            content: cleanedContent,
-            publishDate: release.dateText,
-            scrapedAt: new Date().toISOString()
-          };
-        } else {
-          this.logger.warn(`No modal content found for: ${release.title}`);
         }
-
-      } catch (selectorError) {
-        this.logger.warn(`Could not find or click link for ${release.title}: ${selectorError.message}`);
+        
+        // Add the last paragraph
+        if (currentParagraph.trim()) {
+          paragraphs.push(currentParagraph.trim());
+        }
+        
+        // Create clean HTML structure
+        if (paragraphs.length > 0) {
+          const htmlParagraphs = paragraphs
+            .filter(p => p.length > 5) // Remove very short paragraphs
+            .map(p => `  <p>${p}</p>`)
+            .join('\n');
+          
+          if (htmlParagraphs.length > 0) {
+            return `<div class="press-release-content">\n${htmlParagraphs}\n</div>`;
+          }
+        }
+        
+        // Fallback if paragraph processing fails
+        if (cleanText.length > 20) {
+          return `<div class="press-release-content">\n  <p>${cleanText}</p>\n</div>`;
+        }
       }
 
-      // Always close browser and page to prevent memory leaks
-      try {
-        if (page && !page.isClosed()) {
-          await page.close();
-        }
-        if (browser) {
-          await browser.close();
+      return null;
+    }, nodeId);
+  }
+
+  /**
+   * Extract the modal body as sanitised HTML, keeping tables, lists, links and Unicode text
+   */
+  async extractModalHtml(page, nodeId) {
+    const rawHtml = await page.evaluate((nodeId, containerSelectors) => {
+      const modal = document.querySelector(`#CompanyPressRelease-${nodeId}`);
+      if (!modal) return null;
+
+      for (const selector of containerSelectors) {
+        for (const element of modal.querySelectorAll(selector)) {
+          const text = element.textContent?.trim();
+          // Same metadata guard as the text extractor
+          if (text && text.length > 50 && !text.includes('ISIN') && !text.includes('Symbol') && !text.includes('Source')) {
+            return element.innerHTML;
+          }
         }
-      } catch (closeError) {
-        this.logger.warn(`Error closing browser: ${closeError.message}`);
       }
 
-      // Fallback to basic content
-      return {
-        ...release,
-        content: `<h2>${release.title}</h2><p>Press release content from ${release.dateText}. <a href="${release.url}">Read full article</a></p>`,
-        publishDate: release.dateText,
-        scrapedAt: new Date().toISOString()
-      };
+      return modal.querySelector('.modal-body')?.innerHTML || null;
+    }, nodeId, CONTENT_CONTAINER_SELECTORS);
+
+    return this.finalizeHtml(rawHtml);
+  }
+
+  /**
+   * Sanitise extracted body HTML, returning null when no real text is left
+   */
+  finalizeHtml(rawHtml) {
+    const html = sanitizeHtml(rawHtml, {
+      allowedTags: this.config.euronext.allowedTags,
+      allowedAttributes: this.config.euronext.allowedAttributes,
+      baseUrl: this.config.euronext.baseUrl
+    });
+
+    // Require some real text, not just leftover markup
+    const textLength = html.replace(/<[^>]+>/g, '').trim().length;
+    return textLength > 20 ? `<div class="press-release-content">\n${html}\n</div>` : null;
+  }
+
+  /**
+   * Fetch the release body over plain HTTP and parse it with cheerio
+   */
+  async fetchContentOverHttp(release) {
+    const url = renderTemplate(this.config.euronext.contentUrlTemplate || DEFAULT_CONTENT_URL_TEMPLATE, {
+      baseUrl: this.config.euronext.baseUrl,
+      nodeId: release.nodeId
+    });
+
+    this.logger.info(`Fetching content over HTTP: ${url}`);
+
+    const response = await retry(() => axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+        'Accept': 'text/html,application/json'
+      },
+      timeout: 30000
+    }), this.config.euronext.retryAttempts, this.config.euronext.retryDelayMs, isRetryableFetchError);
+
+    // Drupal AJAX endpoints answer with a list of commands carrying HTML in `data`
+    const body = Array.isArray(response.data)
+      ? response.data.map(command => (typeof command?.data === 'string' ? command.data : '')).join('\n')
+      : String(response.data || '');
+
+    const $ = cheerio.load(body);
+    const modal = $(`#CompanyPressRelease-${release.nodeId}`);
+    const scope = modal.length ? modal : $.root();
+
+    let bodyElement = null;
+    for (const selector of CONTENT_CONTAINER_SELECTORS) {
+      scope.find(selector).each((index, element) => {
+        if (!bodyElement && isBodyText($(element).text().trim())) {
+          bodyElement = $(element);
+        }
+      });
+      if (bodyElement) break;
+    }
+
+    if (!bodyElement) {
+      const container = scope.find('.modal-body, .node__content, article').first();
+      bodyElement = container.length ? container : null;
+    }
+
+    // Links are taken from the release's modal, or failing that the element the body came from,
+    // never from the whole page, which links other releases' documents too
+    const linkScope = modal.length ? modal : bodyElement;
+    const attachments = this.config.attachments?.enabled && linkScope
+      ? this.filterAttachmentLinks([
+        ...linkScope.find('a[href]').toArray().map(a => ({ url: this.absoluteUrl($(a).attr('href'), url), name: $(a).text().trim() })),
+        ...linkScope.find('img[src]').toArray().map(img => ({ url: this.absoluteUrl($(img).attr('src'), url), name: $(img).attr('alt') || '' }))
+      ])
+      : [];
+
+    const rawHtml = bodyElement ? bodyElement.html() : null;
+
+    return { content: this.finalizeHtml(rawHtml), attachments };
+  }
 
+  /**
+   * Resolve a possibly relative URL, or null when it is invalid
+   */
+  absoluteUrl(value, baseUrl) {
+    try {
+      return new URL(value, baseUrl).toString();
     } catch (error) {
-      this.logger.error(`Failed to fetch modal content for ${release.title}:`, error.message);
-      
-      // Fallback to basic content
-      return {
-        ...release,
-        content: `<h2>${release.title}</h2><p>Press release content from ${release.dateText}. <a href="${release.url}">Read full article</a></p>`,
-        publishDate: release.dateText,
-        scrapedAt: new Date().toISOString()
-      };
+      return null;
     }
   }
 
+  /**
+   * Collect links to attached files and images inside the modal
+   */
+  async collectAttachmentLinks(page, nodeId) {
+    const links = await page.evaluate((nodeId) => {
+      const modal = document.querySelector(`#CompanyPressRelease-${nodeId}`);
+      if (!modal) return [];
+
+      return [
+        ...[...modal.querySelectorAll('a[href]')].map(a => ({ url: a.href, name: a.textContent?.trim() || '' })),
+        ...[...modal.querySelectorAll('img[src]')].map(img => ({ url: img.src, name: img.alt || '' }))
+      ];
+    }, nodeId);
+
+    return this.filterAttachmentLinks(links);
+  }
+
+  /**
+   * Keep unique links that point at attachment file types
+   */
+  filterAttachmentLinks(links) {
+    const extensions = this.config.attachments.extensions || DEFAULT_ATTACHMENT_EXTENSIONS;
+    const seen = new Set();
+
+    return links.filter(link => {
+      const extension = link.url && getUrlExtension(link.url);
+      if (!extension || !extensions.includes(extension) || seen.has(link.url)) return false;
+      seen.add(link.url);
+      return true;
+    });
+  }
+
+  /**
+   * Download attachments into memory so they can be re-hosted in Webflow
+   */
+  async downloadAttachments(release) {
+    if (!release.attachments?.length) return release;
+
+    const maxBytes = (this.config.attachments.maxSizeMb || 20) * 1024 * 1024;
+    const downloaded = [];
+
+    for (const attachment of release.attachments) {
+      try {
+        const response = await retry(() => axios.get(attachment.url, {
+          responseType: 'arraybuffer',
+          maxContentLength: maxBytes,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+          },
+          timeout: 60000
+        }), this.config.euronext.retryAttempts, this.config.euronext.retryDelayMs);
+
+        const fileName = attachmentFileName(attachment);
+        downloaded.push({
+          ...attachment,
+          fileName,
+          contentType: response.headers['content-type'] || 'application/octet-stream',
+          data: Buffer.from(response.data)
+        });
+        this.logger.info(`Downloaded attachment ${fileName} (${response.data.byteLength} bytes) for: ${release.title}`);
+      } catch (error) {
+        this.logger.warn(`Failed to download attachment ${attachment.url}: ${error.message}`);
+      }
+    }
+
+    return { ...release, attachments: downloaded };
+  }
+
+  /**
+   * Download attachments for releases that are about to be written to Webflow
+   */
+  async downloadAttachmentsFor(releases) {
+    const result = [];
+    for (const release of releases) {
+      result.push(await this.downloadAttachments(release));
+    }
+    return result;
+  }
+
+  /**
+   * Build a placeholder release when the modal content could not be extracted
+   */
+  buildFallbackRelease(release) {
+    metrics.contentFetched.inc({ issuer: this.issuerId, source: 'fallback' });
+    return {
+      ...release,
+      content: `<h2>${release.title}</h2><p>Press release content from ${release.dateText}. <a href="${release.url}">Read full article</a></p>`,
+      contentFallback: true,
+      publishDate: release.dateText,
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * Get latest press releases with full content
    */
   async getLatestReleases(limit = 10) {
     try {
       const releases = await this.fetchPressReleaseList();
+      // The whole list, not just the latest releases, is what the withdrawal check compares against
+      this.listedReleases = releases;
       const latestReleases = releases.slice(0, limit);
+      metrics.releasesSeen.inc({ issuer: this.issuerId }, latestReleases.length);
       
-      const releasesWithContent = [];
-      
-      for (const release of latestReleases) {
-        try {
-          const fullRelease = await this.fetchPressReleaseContent(release);
-          releasesWithContent.push(fullRelease);
-          
-          // Add delay between requests to be respectful
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } catch (error) {
-          this.logger.warn(`Failed to fetch content for ${release.title}:`, error.message);
-        }
-      }
+      const releasesWithContent = await this.fetchContentForReleases(latestReleases);
 
       this.logger.info(`Successfully scraped ${releasesWithContent.length} press releases`);
       return releasesWithContent;
@@ -463,6 +730,24 @@ export class EuronextScraper {
     }
   }
 
+  /**
+   * Fetch full content for a set of releases
+   */
+  async fetchContentForReleases(releases) {
+    // euronext.concurrency limits HTTP fetches and open modals alike
+    const concurrency = this.config.euronext.concurrency || 1;
+    const releasesWithContent = await mapWithConcurrency(releases, concurrency, release => withLogContext({ releaseId: release.id }, async () => {
+      try {
+        return await this.fetchPressReleaseContent(release);
+      } catch (error) {
+        this.logger.warn(`Failed to fetch content for ${release.title}:`, error.message);
+        return null;
+      }
+    }));
+
+    return releasesWithContent.filter(Boolean);
+  }
+
   /**
    * Clean up and format content for better readability
    */
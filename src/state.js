@@ -0,0 +1,411 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Processed-release state stores.
+ *
+ * Every backend persists the same JSON document and implements:
+ *   load()                           -> document or null when nothing is stored yet
+ *   save(data)                       -> atomic replace of the document
+ *   acquireLock(name, owner, ttlMs)  -> true when the lease was taken (an expired lease is taken over)
+ *   renewLock(name, owner, ttlMs)    -> extend the lease, false when `owner` no longer holds it
+ *   readLock(name)                   -> { owner, acquiredAt, expiresAt } or null
+ *   releaseLock(name, owner)         -> drop the lock if `owner` still holds it
+ *   close()
+ */
+
+/**
+ * Suffix for temporary files; the random part stops two writes in the same process and millisecond sharing a name
+ */
+function uniqueSuffix() {
+  return `${process.pid}.${crypto.randomUUID()}`;
+}
+
+/**
+ * Build the lock record stored by every backend
+ */
+function createLease(owner, ttlMs, acquiredAt = new Date().toISOString()) {
+  return { owner, acquiredAt, expiresAt: new Date(Date.now() + ttlMs).toISOString() };
+}
+
+/**
+ * Check whether a lease has run out
+ */
+function isExpired(lease) {
+  return !lease || !(new Date(lease.expiresAt).getTime() > Date.now());
+}
+
+/**
+ * JSON file on the local filesystem (default)
+ */
+export class FileStateStore {
+  constructor(options = {}) {
+    this.path = path.resolve(process.cwd(), options.path || path.join('data', 'processed.json'));
+    this.description = `file ${this.path}`;
+  }
+
+  lockPath(name) {
+    return `${this.path}.${name}.lock`;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(data) {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+    // Write to a temporary file and rename so readers never see a partial document
+    const tempPath = `${this.path}.${uniqueSuffix()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.path);
+  }
+
+  async acquireLock(name, owner, ttlMs) {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+    if (await this.createLockFile(name, owner, ttlMs)) return true;
+
+    const current = await this.readLockFile(this.lockPath(name));
+    if (current === undefined || !isExpired(current)) return false;
+
+    // Move the expired lock aside; rename is atomic, so only one contender gets it
+    const stalePath = `${this.lockPath(name)}.${uniqueSuffix()}.stale`;
+    try {
+      await fs.rename(this.lockPath(name), stalePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    // Another run may have replaced the lock between our read and the rename; hand it back.
+    // link, unlike rename, fails rather than overwrite a lock a third run created meanwhile
+    const moved = await this.readLockFile(stalePath);
+    if (!isExpired(moved)) {
+      await fs.link(stalePath, this.lockPath(name)).catch(() => {});
+      await fs.unlink(stalePath).catch(() => {});
+      return false;
+    }
+
+    await fs.unlink(stalePath).catch(() => {});
+    return this.createLockFile(name, owner, ttlMs);
+  }
+
+  async createLockFile(name, owner, ttlMs, acquiredAt) {
+    // Write the whole lease first, then link it into place: link fails if the lock exists, which
+    // makes it the atomic test-and-set, and nobody can read a half-written lock file
+    const tempPath = `${this.lockPath(name)}.${uniqueSuffix()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(createLease(owner, ttlMs, acquiredAt)));
+
+    try {
+      await fs.link(tempPath, this.lockPath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Read a lock file: null when missing or unreadable (treated as expired), undefined when it vanished mid-read
+   */
+  async readLockFile(lockPath) {
+    try {
+      return JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      if (error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async renewLock(name, owner, ttlMs) {
+    const current = await this.readLockFile(this.lockPath(name));
+    if (current?.owner !== owner) return false;
+
+    // Claim the lock file by moving it aside, so a run that took over after expiry cannot be overwritten
+    const claimedPath = `${this.lockPath(name)}.${uniqueSuffix()}.renew`;
+    try {
+      await fs.rename(this.lockPath(name), claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    try {
+      const claimed = await this.readLockFile(claimedPath);
+      if (claimed?.owner !== owner) {
+        // Taken over between the check and the rename: put the other run's lock back
+        await fs.link(claimedPath, this.lockPath(name)).catch(() => {});
+        return false;
+      }
+
+      // Fails if another run created a lock while it was moved aside; that run then holds it
+      return await this.createLockFile(name, owner, ttlMs, claimed.acquiredAt);
+    } finally {
+      await fs.unlink(claimedPath).catch(() => {});
+    }
+  }
+
+  async readLock(name) {
+    return (await this.readLockFile(this.lockPath(name))) || null;
+  }
+
+  async releaseLock(name, owner) {
+    const current = await this.readLockFile(this.lockPath(name));
+    if (current?.owner !== owner) return;
+
+    try {
+      await fs.unlink(this.lockPath(name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async close() {}
+}
+
+/**
+ * SQLite database (requires the optional `better-sqlite3` package)
+ */
+export class SqliteStateStore {
+  constructor(options = {}) {
+    this.path = path.resolve(process.cwd(), options.path || path.join('data', 'state.db'));
+    this.description = `sqlite ${this.path}`;
+    this.db = null;
+  }
+
+  async getDb() {
+    if (!this.db) {
+      const { default: Database } = await import('better-sqlite3');
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+      this.db = new Database(this.path);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS locks (name TEXT PRIMARY KEY, owner TEXT NOT NULL, acquired_at TEXT NOT NULL, expires_at TEXT);
+      `);
+
+      // Databases created before locks were leases lack the expiry column
+      const lockColumns = this.db.prepare('PRAGMA table_info(locks)').all().map(column => column.name);
+      if (!lockColumns.includes('expires_at')) {
+        this.db.exec('ALTER TABLE locks ADD COLUMN expires_at TEXT');
+      }
+    }
+    return this.db;
+  }
+
+  async load() {
+    const db = await this.getDb();
+    const row = db.prepare('SELECT value FROM state WHERE key = ?').get('processed');
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async save(data) {
+    const db = await this.getDb();
+    db.prepare(`
+      INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run('processed', JSON.stringify(data), new Date().toISOString());
+  }
+
+  async acquireLock(name, owner, ttlMs) {
+    const db = await this.getDb();
+    const lease = createLease(owner, ttlMs);
+
+    // Expiring and inserting in one transaction makes the takeover atomic
+    const acquire = db.transaction(() => {
+      db.prepare('DELETE FROM locks WHERE name = ? AND (expires_at IS NULL OR expires_at <= ?)')
+        .run(name, new Date().toISOString());
+      return db.prepare('INSERT OR IGNORE INTO locks (name, owner, acquired_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(name, owner, lease.acquiredAt, lease.expiresAt);
+    });
+
+    return acquire.immediate().changes === 1;
+  }
+
+  async renewLock(name, owner, ttlMs) {
+    const db = await this.getDb();
+    const result = db.prepare('UPDATE locks SET expires_at = ? WHERE name = ? AND owner = ?')
+      .run(createLease(owner, ttlMs).expiresAt, name, owner);
+    return result.changes === 1;
+  }
+
+  async readLock(name) {
+    const db = await this.getDb();
+    const row = db.prepare('SELECT owner, acquired_at, expires_at FROM locks WHERE name = ?').get(name);
+    return row ? { owner: row.owner, acquiredAt: row.acquired_at, expiresAt: row.expires_at } : null;
+  }
+
+  async releaseLock(name, owner) {
+    const db = await this.getDb();
+    db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?').run(name, owner);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Object in an S3-compatible bucket (requires the optional `@aws-sdk/client-s3` package).
+ * Uses conditional writes, so the bucket must support If-Match / If-None-Match on PUT.
+ */
+export class S3StateStore {
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3 state backend requires state.s3.bucket (or STATE_S3_BUCKET)');
+    }
+
+    this.options = options;
+    this.bucket = options.bucket;
+    this.key = options.key || 'autopress/processed.json';
+    this.description = `s3://${this.bucket}/${this.key}`;
+    this.client = null;
+    this.sdk = null;
+    this.etag = null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      this.sdk = await import('@aws-sdk/client-s3');
+      this.client = new this.sdk.S3Client({
+        region: this.options.region || process.env.AWS_REGION || 'us-east-1',
+        endpoint: this.options.endpoint || undefined,
+        forcePathStyle: !!this.options.forcePathStyle
+      });
+    }
+    return this.client;
+  }
+
+  lockKey(name) {
+    return `${this.key}.${name}.lock`;
+  }
+
+  async getObject(key) {
+    const client = await this.getClient();
+    try {
+      const response = await client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { body: await response.Body.transformToString(), etag: response.ETag };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async load() {
+    const object = await this.getObject(this.key);
+    this.etag = object?.etag || null;
+    return object ? JSON.parse(object.body) : null;
+  }
+
+  async save(data) {
+    const client = await this.getClient();
+
+    try {
+      // Only overwrite the version we loaded, so concurrent writers cannot clobber each other
+      const response = await client.send(new this.sdk.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.key,
+        Body: JSON.stringify(data, null, 2),
+        ContentType: 'application/json',
+        ...(this.etag ? { IfMatch: this.etag } : { IfNoneMatch: '*' })
+      }));
+      this.etag = response.ETag;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 412) {
+        throw new Error(`State object ${this.description} was modified by another run`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a lock object; `etag` replaces that exact version, otherwise the key must not exist
+   */
+  async putLock(name, lease, etag = null) {
+    const client = await this.getClient();
+
+    try {
+      await client.send(new this.sdk.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.lockKey(name),
+        Body: JSON.stringify(lease),
+        ContentType: 'application/json',
+        ...(etag ? { IfMatch: etag } : { IfNoneMatch: '*' })
+      }));
+      return true;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 412) return false;
+      throw error;
+    }
+  }
+
+  async acquireLock(name, owner, ttlMs) {
+    if (await this.putLock(name, createLease(owner, ttlMs))) return true;
+
+    const object = await this.getObject(this.lockKey(name));
+    if (!object) return this.putLock(name, createLease(owner, ttlMs));
+    if (!isExpired(JSON.parse(object.body))) return false;
+
+    // Conditional on the expired version, so only one contender can take it over
+    return this.putLock(name, createLease(owner, ttlMs), object.etag);
+  }
+
+  async renewLock(name, owner, ttlMs) {
+    const object = await this.getObject(this.lockKey(name));
+    if (!object) return false;
+
+    const current = JSON.parse(object.body);
+    if (current.owner !== owner) return false;
+    return this.putLock(name, createLease(owner, ttlMs, current.acquiredAt), object.etag);
+  }
+
+  async readLock(name) {
+    const object = await this.getObject(this.lockKey(name));
+    return object ? JSON.parse(object.body) : null;
+  }
+
+  async releaseLock(name, owner) {
+    const object = await this.getObject(this.lockKey(name));
+    if (!object || JSON.parse(object.body).owner !== owner) return;
+
+    const client = await this.getClient();
+    await client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: this.lockKey(name) }));
+  }
+
+  async close() {
+    this.client?.destroy();
+    this.client = null;
+  }
+}
+
+/**
+ * Create the state store selected by `state.backend`
+ */
+export function createStateStore(config) {
+  const stateConfig = config.state || {};
+
+  switch (stateConfig.backend || 'file') {
+    case 'file':
+      return new FileStateStore(stateConfig.file);
+    case 'sqlite':
+      return new SqliteStateStore(stateConfig.sqlite);
+    case 's3':
+      return new S3StateStore(stateConfig.s3);
+    default:
+      throw new Error(`Unknown state backend: ${stateConfig.backend}`);
+  }
+}
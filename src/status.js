@@ -0,0 +1,240 @@
+import { parseReleaseDateKey } from './utils.js';
+
+/**
+ * Webflow states a processed release can be listed by
+ */
+export const RECORD_STATES = ['published', 'review', 'draft', 'incomplete', 'held', 'withdrawn', 'unknown'];
+
+/**
+ * Where a processed release stands in Webflow, as recorded when it was last written.
+ * Records created before draft tracking are 'unknown'.
+ */
+export function getRecordState(record) {
+  if (record.withdrawal?.withdrawnAt) return 'withdrawn';
+  if (record.held) return 'held';
+  if (record.incomplete) return 'incomplete';
+  if (record.isDraft === true && record.review && !record.review.outcome) return 'review';
+  if (record.isDraft === true) return 'draft';
+  if (record.isDraft === false) return 'published';
+  return 'unknown';
+}
+
+/**
+ * Configured issuers first, then any issuer that only exists in the state
+ */
+function listIssuers(processedData, issuers) {
+  const known = new Set(issuers.map(issuer => issuer.id));
+  const stateOnly = Object.keys(processedData.issuers || {})
+    .filter(id => !known.has(id))
+    .map(id => ({ id, name: id }));
+  return [...issuers, ...stateOnly];
+}
+
+/**
+ * Count records per Webflow state
+ */
+function countStates(records) {
+  const counts = Object.fromEntries(RECORD_STATES.map(state => [state, 0]));
+  for (const record of records) {
+    counts[getRecordState(record)]++;
+  }
+  return counts;
+}
+
+/**
+ * Summarise the processed state: last run, totals and recent errors per issuer
+ */
+export function buildStatus(processedData, issuers, { errorLimit = 5 } = {}) {
+  const issuerStatus = listIssuers(processedData, issuers).map(issuer => {
+    const state = processedData.issuers?.[issuer.id];
+    const records = state?.processedReleases || [];
+    const stats = state?.stats || {};
+
+    return {
+      id: issuer.id,
+      name: issuer.name,
+      lastRunAt: stats.lastRun?.at || stats.lastRunTime || null,
+      // Counts of the latest run (found, created, updated, skipped, errors), or its error if it failed
+      lastRun: stats.lastRun || null,
+      lastProcessedAt: state?.lastProcessed || null,
+      releases: records.length,
+      created: stats.totalProcessed || 0,
+      updated: stats.totalUpdated || 0,
+      states: countStates(records),
+      pendingRetries: records.filter(record => record.incomplete && !record.contentRetry?.exhausted).length,
+      nextAutoPublishAt: records.filter(record => getRecordState(record) === 'review').map(record => record.review.publishAfter).sort()[0] || null,
+      backfill: state?.backfill || null,
+      // Releases missing from the Euronext list but not yet confirmed as withdrawn
+      missingReleases: records.filter(record => record.withdrawal && !record.withdrawal.withdrawnAt).length,
+      recentWithdrawals: errorLimit > 0 ? (state?.withdrawals || []).slice(-errorLimit).reverse() : [],
+      errorCount: (stats.errors || []).length,
+      recentErrors: errorLimit > 0 ? (stats.errors || []).slice(-errorLimit).reverse() : []
+    };
+  });
+
+  const lastRunAt = issuerStatus.map(issuer => issuer.lastRunAt).filter(Boolean).sort().pop() || null;
+  const states = countStates([]);
+  for (const issuer of issuerStatus) {
+    for (const state of RECORD_STATES) states[state] += issuer.states[state];
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    lastRunAt,
+    lastDigestAt: processedData.digest?.lastSentAt || null,
+    totals: {
+      releases: issuerStatus.reduce((sum, issuer) => sum + issuer.releases, 0),
+      created: issuerStatus.reduce((sum, issuer) => sum + issuer.created, 0),
+      updated: issuerStatus.reduce((sum, issuer) => sum + issuer.updated, 0),
+      states,
+      errors: issuerStatus.reduce((sum, issuer) => sum + issuer.errorCount, 0)
+    },
+    issuers: issuerStatus
+  };
+}
+
+/**
+ * List processed releases, newest release date first.
+ * Filters: issuer id, from/to (YYYY-MM-DD, inclusive, on the release date), Webflow state; limit 0 lists all.
+ */
+export function buildHistory(processedData, issuers, { issuer = null, from = null, to = null, state = null, limit = 20 } = {}) {
+  const entries = listIssuers(processedData, issuers)
+    .filter(({ id }) => !issuer || id === issuer)
+    .flatMap(({ id }) => (processedData.issuers?.[id]?.processedReleases || []).map(record => ({
+      issuer: id,
+      id: record.id,
+      title: record.title,
+      // Release date on Euronext, or when it was processed if the date cannot be parsed
+      date: parseReleaseDateKey(record.dateText) || record.processedAt?.slice(0, 10) || null,
+      state: getRecordState(record),
+      webflowId: record.webflowId || null,
+      slug: record.slug || null,
+      processedAt: record.processedAt || null,
+      updatedAt: record.updatedAt || null,
+      url: record.url
+    })))
+    .filter(entry => (!from || (entry.date && entry.date >= from)) && (!to || (entry.date && entry.date <= to)))
+    .filter(entry => !state || entry.state === state)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || '') || (b.processedAt || '').localeCompare(a.processedAt || ''));
+
+  return limit > 0 ? entries.slice(0, limit) : entries;
+}
+
+/**
+ * Render rows as a plain text table with padded columns
+ */
+export function formatTable(rows, columns) {
+  const cell = (row, column) => {
+    const value = row[column.key] ?? '';
+    const text = String(value).replace(/\s+/g, ' ');
+    return column.maxWidth && text.length > column.maxWidth ? `${text.slice(0, column.maxWidth - 1)}…` : text;
+  };
+
+  const widths = columns.map(column => Math.max(column.label.length, ...rows.map(row => cell(row, column).length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => cell(row, column))))
+  ].join('\n');
+}
+
+/**
+ * Render a status summary for the terminal
+ */
+export function renderStatusText(status) {
+  const rows = status.issuers.map(issuer => ({
+    ...issuer,
+    ...issuer.states,
+    lastRunAt: issuer.lastRunAt || 'never'
+  }));
+
+  const sections = [
+    `Last run:    ${status.lastRunAt || 'never'}`,
+    `Last digest: ${status.lastDigestAt || 'never'}`,
+    `Totals:      ${status.totals.releases} releases, ${status.totals.created} created, ${status.totals.updated} updated, ${status.totals.errors} recent errors`,
+    '',
+    formatTable(rows, [
+      { key: 'id', label: 'Issuer' },
+      { key: 'lastRunAt', label: 'Last run' },
+      { key: 'releases', label: 'Releases' },
+      { key: 'published', label: 'Published' },
+      { key: 'review', label: 'In review' },
+      { key: 'draft', label: 'Draft' },
+      { key: 'incomplete', label: 'Incomplete' },
+      { key: 'held', label: 'Held' },
+      { key: 'withdrawn', label: 'Withdrawn' },
+      { key: 'updated', label: 'Updated' },
+      { key: 'errorCount', label: 'Errors' }
+    ])
+  ];
+
+  const lastRuns = status.issuers.filter(issuer => issuer.lastRun);
+  if (lastRuns.length > 0) {
+    sections.push('', 'Last run per issuer:', formatTable(lastRuns.map(issuer => ({
+      id: issuer.id,
+      ...issuer.lastRun,
+      result: issuer.lastRun.error ? `failed: ${issuer.lastRun.error}` : 'ok'
+    })), [
+      { key: 'id', label: 'Issuer' },
+      { key: 'at', label: 'Time' },
+      { key: 'found', label: 'Found' },
+      { key: 'created', label: 'Created' },
+      { key: 'updated', label: 'Updated' },
+      { key: 'skipped', label: 'Skipped' },
+      { key: 'errors', label: 'Errors' },
+      { key: 'result', label: 'Result', maxWidth: 60 }
+    ]));
+  }
+
+  for (const issuer of status.issuers) {
+    if (issuer.backfill && !issuer.backfill.completedAt) {
+      sections.push('', `Backfill for ${issuer.id} (${issuer.backfill.from} to ${issuer.backfill.to}) incomplete, resumes at page ${issuer.backfill.nextPage}`);
+    }
+    if (issuer.nextAutoPublishAt) {
+      sections.push('', `${issuer.states.review} draft(s) for ${issuer.id} in review, next publishes at ${issuer.nextAutoPublishAt}`);
+    }
+    if (issuer.pendingRetries > 0) {
+      sections.push('', `${issuer.pendingRetries} release(s) for ${issuer.id} waiting for content`);
+    }
+    if (issuer.missingReleases > 0) {
+      sections.push('', `${issuer.missingReleases} release(s) for ${issuer.id} missing from the Euronext list, not yet withdrawn`);
+    }
+    if (issuer.recentWithdrawals.length > 0) {
+      sections.push('', `Recent withdrawals for ${issuer.id}:`, formatTable(issuer.recentWithdrawals, [
+        { key: 'at', label: 'Time' },
+        { key: 'title', label: 'Release', maxWidth: 50 },
+        { key: 'action', label: 'Action' },
+        { key: 'result', label: 'Result' }
+      ]));
+    }
+    if (issuer.recentErrors.length > 0) {
+      sections.push('', `Recent errors for ${issuer.id}:`, formatTable(issuer.recentErrors.map(error => ({
+        ...error,
+        title: error.title || (error.fatal ? '(run failed)' : '')
+      })), [
+        { key: 'timestamp', label: 'Time' },
+        { key: 'title', label: 'Release', maxWidth: 50 },
+        { key: 'error', label: 'Error', maxWidth: 80 }
+      ]));
+    }
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * Render a release history for the terminal
+ */
+export function renderHistoryText(entries) {
+  if (entries.length === 0) return 'No processed releases match.';
+
+  return formatTable(entries, [
+    { key: 'date', label: 'Date' },
+    { key: 'issuer', label: 'Issuer' },
+    { key: 'state', label: 'State' },
+    { key: 'title', label: 'Title', maxWidth: 60 },
+    { key: 'webflowId', label: 'Webflow item' }
+  ]);
+}
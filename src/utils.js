@@ -1,25 +1,155 @@
+import crypto from 'crypto';
 import fs from 'fs/promises';
+import fsSync from 'fs';
 import path from 'path';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createSchedule, evaluateSchedule } from './schedule.js';
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields such as the run ID that apply to everything logged within an async call chain
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with extra fields (e.g. runId, releaseId) added to every log line it produces
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
 
 /**
- * Logger utility with different levels
+ * Append-only log file that rotates to `<path>.1` ... `<path>.<maxFiles>` when it grows past maxSizeMb
+ */
+class RotatingFileSink {
+  constructor(filePath, options = {}) {
+    this.path = path.resolve(process.cwd(), filePath);
+    this.maxBytes = (options.maxSizeMb || 10) * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.size = null;
+  }
+
+  write(line) {
+    try {
+      if (this.size === null) {
+        fsSync.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.size = fsSync.existsSync(this.path) ? fsSync.statSync(this.path).size : 0;
+      }
+
+      const bytes = Buffer.byteLength(line) + 1;
+      if (this.size > 0 && this.size + bytes > this.maxBytes) {
+        this.rotate();
+      }
+
+      fsSync.appendFileSync(this.path, `${line}\n`);
+      this.size += bytes;
+    } catch (error) {
+      // Logging must never take the run down
+      console.error(`Failed to write log file ${this.path}: ${error.message}`);
+    }
+  }
+
+  rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fsSync.existsSync(`${this.path}.${index}`)) {
+        fsSync.renameSync(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+      }
+    }
+
+    if (this.maxFiles > 0) {
+      fsSync.renameSync(this.path, `${this.path}.1`);
+    } else {
+      fsSync.unlinkSync(this.path);
+    }
+    this.size = 0;
+  }
+}
+
+// One sink per file, shared by every logger writing to it
+const fileSinks = new Map();
+
+/**
+ * Make logged data JSON-safe, keeping the useful parts of errors
+ */
+function serializeLogData(data) {
+  if (data instanceof Error) {
+    return { name: data.name, message: data.message, stack: data.stack };
+  }
+  try {
+    return JSON.parse(JSON.stringify(data));
+  } catch (error) {
+    return util.inspect(data, { depth: 4 });
+  }
+}
+
+/**
+ * Logger utility with different levels.
+ * `format: "json"` writes one JSON object per line with the run context and logger fields
+ * (component, runId, releaseId); `file.path` also appends to a rotating log file.
+ * `stream: "stderr"` keeps console logs off stdout, for commands that print machine-readable output.
  */
 export class Logger {
-  constructor(config = {}) {
+  constructor(config = {}, fields = {}) {
+    this.config = config;
+    this.fields = fields;
     this.level = config.level || 'info';
     this.enableConsole = config.enableConsole !== false;
+    this.format = process.env.LOG_FORMAT || config.format || 'text';
+    this.stream = process.env.LOG_STREAM || config.stream || 'stdout';
+
+    const filePath = process.env.LOG_FILE || config.file?.path;
+    if (filePath) {
+      if (!fileSinks.has(filePath)) {
+        fileSinks.set(filePath, new RotatingFileSink(filePath, config.file));
+      }
+      this.fileSink = fileSinks.get(filePath);
+    } else {
+      this.fileSink = null;
+    }
+  }
+
+  /**
+   * Logger with the same settings and extra fields, e.g. { component: 'browser' }
+   */
+  child(fields) {
+    return new Logger(this.config, { ...this.fields, ...fields });
   }
 
   log(level, message, data = null) {
-    const levels = { error: 0, warn: 1, info: 2, debug: 3 };
-    if (levels[level] <= levels[this.level]) {
-      const timestamp = new Date().toISOString();
-      const logMessage = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-      
-      if (this.enableConsole) {
-        console.log(logMessage);
-        if (data) console.log(data);
-      }
+    if (LOG_LEVELS[level] > LOG_LEVELS[this.level]) return;
+
+    const timestamp = new Date().toISOString();
+
+    if (this.format === 'json') {
+      const line = JSON.stringify({
+        timestamp,
+        level,
+        message,
+        ...this.fields,
+        ...logContext.getStore(),
+        ...(data != null ? { data: serializeLogData(data) } : {})
+      });
+      if (this.enableConsole) this.writeConsole(line);
+      this.fileSink?.write(line);
+      return;
+    }
+
+    const logMessage = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+
+    if (this.enableConsole) {
+      this.writeConsole(logMessage);
+      if (data) this.writeConsole(data);
+    }
+    if (this.fileSink) {
+      this.fileSink.write(data ? `${logMessage}\n${typeof data === 'string' ? data : util.inspect(data, { depth: 4 })}` : logMessage);
+    }
+  }
+
+  writeConsole(value) {
+    if (this.stream === 'stderr') {
+      console.error(value);
+    } else {
+      console.log(value);
     }
   }
 
@@ -51,6 +181,20 @@ export async function loadConfig() {
     if (process.env.TIMEZONE) {
       config.schedule.timezone = process.env.TIMEZONE;
     }
+    if (config.schedule.holidayCalendar) {
+      const calendarPath = path.resolve(process.cwd(), config.schedule.holidayCalendar);
+      const calendar = JSON.parse(await fs.readFile(calendarPath, 'utf-8'));
+      config.schedule.holidays = [...(config.schedule.holidays || []), ...calendar];
+    }
+    if (process.env.STATE_BACKEND) {
+      config.state = { ...config.state, backend: process.env.STATE_BACKEND };
+    }
+    if (process.env.STATE_S3_BUCKET) {
+      config.state = { ...config.state, s3: { ...config.state?.s3, bucket: process.env.STATE_S3_BUCKET } };
+    }
+    if (process.env.METRICS_PUSHGATEWAY_URL) {
+      config.metrics = { ...config.metrics, enabled: true, pushgatewayUrl: process.env.METRICS_PUSHGATEWAY_URL };
+    }
 
     return config;
   } catch (error) {
@@ -59,13 +203,62 @@ export async function loadConfig() {
 }
 
 /**
- * Check if current time is within scheduled hours
+ * Resolve the list of issuer profiles to scrape.
+ * Falls back to a single profile built from the legacy `euronext.listUrl` setting.
  */
-export function isWithinScheduledHours(config) {
-  const now = new Date();
-  const currentHour = now.getHours(); // Local time
-  
-  return currentHour >= config.schedule.startHour && currentHour < config.schedule.endHour;
+export function resolveIssuers(config) {
+  if (Array.isArray(config.issuers) && config.issuers.length > 0) {
+    return config.issuers.map((issuer, index) => {
+      if (!issuer.listUrl) {
+        throw new Error(`Issuer ${issuer.id || index} is missing a listUrl`);
+      }
+      return {
+        ...issuer,
+        id: issuer.id || issuer.listUrl.split('/').pop(),
+        name: issuer.name || issuer.id || issuer.listUrl
+      };
+    });
+  }
+
+  if (!config.euronext?.listUrl) {
+    throw new Error('No issuers configured: add an "issuers" list or set euronext.listUrl');
+  }
+
+  return [{
+    id: 'default',
+    name: 'default',
+    listUrl: config.euronext.listUrl,
+    onlyAfterDate: config.euronext.onlyAfterDate
+  }];
+}
+
+/**
+ * Build the effective configuration for a single issuer profile
+ */
+export function buildIssuerConfig(config, issuer) {
+  return {
+    ...config,
+    issuer,
+    euronext: {
+      ...config.euronext,
+      listUrl: issuer.listUrl,
+      onlyAfterDate: issuer.onlyAfterDate || config.euronext.onlyAfterDate
+    },
+    attachments: { ...config.attachments, ...issuer.attachments },
+    webflow: {
+      ...config.webflow,
+      collectionId: issuer.collectionId || config.webflow.collectionId,
+      fieldMapping: issuer.fieldMapping || config.webflow.fieldMapping,
+      readMoreUrl: issuer.readMoreUrl || config.webflow.readMoreUrl || `${issuer.listUrl}?page=0`
+    }
+  };
+}
+
+/**
+ * Check if a time (default now) is within the schedule, evaluated in `schedule.timezone`
+ */
+export function isWithinScheduledHours(config, now = new Date()) {
+  return evaluateSchedule(createSchedule(config.schedule), now).active;
 }
 
 /**
@@ -76,19 +269,35 @@ export function sleep(ms) {
 }
 
 /**
- * Retry wrapper for async functions
+ * Retry wrapper for async functions; errors `shouldRetry` rejects are thrown at once
  */
-export async function retry(fn, attempts = 3, delay = 1000) {
+export async function retry(fn, attempts = 3, delay = 1000, shouldRetry = () => true) {
   for (let i = 0; i < attempts; i++) {
     try {
       return await fn();
     } catch (error) {
-      if (i === attempts - 1) throw error;
+      if (i === attempts - 1 || !shouldRetry(error)) throw error;
       await sleep(delay);
     }
   }
 }
 
+/**
+ * Map items through an async function with at most `limit` calls in flight, keeping order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
 /**
  * Clean HTML content for Webflow
  */
@@ -100,24 +309,81 @@ export function cleanHtmlContent(html) {
 }
 
 /**
- * Generate unique ID for press release
+ * File name of an attachment: the last URL path segment, else its link text
  */
-export function generateReleaseId(title, date) {
-  const cleanTitle = title.toLowerCase().replace(/[^a-z0-9]/g, '-');
-  
-  let dateStr;
+export function attachmentFileName(attachment) {
   try {
-    const parsedDate = new Date(date);
-    if (isNaN(parsedDate.getTime())) {
-      // If date parsing fails, use current date
-      dateStr = new Date().toISOString().split('T')[0];
-    } else {
-      dateStr = parsedDate.toISOString().split('T')[0];
-    }
+    const segment = new URL(attachment.url).pathname.split('/').pop();
+    if (segment) return decodeURIComponent(segment);
   } catch (error) {
-    // Fallback to current date if any error occurs
-    dateStr = new Date().toISOString().split('T')[0];
+    // Invalid URL or escape sequence; fall back to the link text
+  }
+  return attachment.name || 'attachment';
+}
+
+/**
+ * Escape text for inclusion in HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate a short ID correlating the log lines of one run
+ */
+export function generateRunId() {
+  return crypto.randomUUID().split('-')[0];
+}
+
+/**
+ * Parse a Euronext release date such as "27 Jun 2025\n07:45 CEST" into a YYYY-MM-DD key, or null
+ */
+export function parseReleaseDateKey(dateText) {
+  let dateStr = dateText || '';
+
+  // Handle Euronext date format: "27 Jun 2025\n07:45 CEST"
+  if (dateStr.includes('\n')) {
+    dateStr = dateStr.split('\n')[0].trim();
   }
-  
+
+  const date = new Date(dateStr);
+  if (isNaN(date.getTime())) return null;
+
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Generate unique ID for press release
+ */
+export function generateReleaseId(title, dateText) {
+  const cleanTitle = title.toLowerCase().replace(/[^a-z0-9]/g, '-');
+
+  // Taken from the release date only, so the ID is the same whichever day the release is scraped
+  const dateStr = parseReleaseDateKey(dateText) || 'undated';
+
   return `${dateStr}-${cleanTitle}`.substring(0, 100);
-}
\ No newline at end of file
+}
+
+/**
+ * Stable identity of a release across scrapes: its Euronext node ID (also part of its URL),
+ * else its title and date. Unlike the ID, the node ID survives a corrected title.
+ */
+export function getReleaseKey(release) {
+  const nodeId = release.nodeId || release.url?.match(/\/pd_press\/(\d+)/)?.[1];
+  if (nodeId) return `node:${nodeId}`;
+  return `id:${generateReleaseId(release.title || '', release.dateText)}`;
+}
+
+/**
+ * Compute a content hash used to detect corrected or amended releases
+ */
+export function computeContentHash(release) {
+  return crypto
+    .createHash('sha256')
+    .update([release.title, release.publishDate || release.dateText, release.content].join('\n'))
+    .digest('hex');
+}
@@ -1,16 +1,45 @@
 import axios from 'axios';
-import { retry, Logger } from './utils.js';
+import crypto from 'crypto';
+import { retry, Logger, attachmentFileName, parseReleaseDateKey, withLogContext } from './utils.js';
+import { metrics } from './metrics.js';
+import { RateLimitedHttpClient } from './http.js';
+import { DEFAULT_FIELD_MAPPING, renderFieldData, validateFieldMapping } from './mapping.js';
+
+// Most items a bulk create, update or publish request accepts
+const BATCH_SIZE = 100;
+
+/**
+ * Split a list into batches of at most `size` entries
+ */
+function chunk(list, size) {
+  const batches = [];
+  for (let index = 0; index < list.length; index += size) {
+    batches.push(list.slice(index, index + size));
+  }
+  return batches;
+}
+
+// How a new item is published: live at once, draft published after the review grace period, or draft until an editor publishes it
+export const PUBLISH_ACTIONS = ['publish', 'review', 'hold'];
 
 export class WebflowClient {
-  constructor(config) {
+  constructor(config, { http } = {}) {
     this.config = config;
-    this.logger = new Logger(config.logging);
+    this.logger = new Logger(config.logging, { component: 'webflow' });
     this.apiToken = process.env.WEBFLOW_API_TOKEN;
     this.siteId = process.env.WEBFLOW_SITE_ID;
-    this.collectionId = process.env.WEBFLOW_COLLECTION_ID;
+    this.collectionId = config.webflow.collectionId || process.env.WEBFLOW_COLLECTION_ID;
+    this.fieldMapping = config.webflow.fieldMapping || DEFAULT_FIELD_MAPPING;
+
+    // Optional field holding the source release ID, so duplicates are found even if the title changes
+    this.releaseIdField = config.webflow.releaseIdField || null;
+    if (this.releaseIdField) {
+      this.fieldMapping = { ...this.fieldMapping, [this.releaseIdField]: '{{id}}' };
+    }
+    this.itemIndex = null;
 
     if (!this.apiToken || !this.siteId || !this.collectionId) {
-      throw new Error('Missing required Webflow environment variables: WEBFLOW_API_TOKEN, WEBFLOW_SITE_ID, WEBFLOW_COLLECTION_ID');
+      throw new Error('Missing required Webflow settings: WEBFLOW_API_TOKEN, WEBFLOW_SITE_ID and a collection ID (issuer collectionId or WEBFLOW_COLLECTION_ID)');
     }
 
     this.baseUrl = 'https://api.webflow.com/v2';
@@ -19,107 +48,508 @@ export class WebflowClient {
       'Content-Type': 'application/json',
       'Accept': 'application/json'
     };
+    this.issuerId = config.issuer?.id || 'default';
+    this.draftIncomplete = (config.incompleteContent?.action || 'draft') === 'draft';
+
+    // Title rules pick the publish action per release; without a default, publishImmediately decides
+    const publishing = config.webflow.publishing || {};
+    this.defaultPublishAction = publishing.defaultAction || (config.webflow.publishImmediately ? 'publish' : 'hold');
+    this.publishingRules = publishing.rules || [];
+    for (const rule of [{ match: '(default)', action: this.defaultPublishAction }, ...this.publishingRules]) {
+      if (!rule.match || !PUBLISH_ACTIONS.includes(rule.action)) {
+        throw new Error(`Invalid publishing rule ${JSON.stringify(rule)}: needs a "match" and an action of ${PUBLISH_ACTIONS.join(', ')}`);
+      }
+    }
+
+    // Issuers share one client (and rate limit) when the automation passes it in
+    this.http = http || new RateLimitedHttpClient(config, this.logger);
   }
 
   /**
-   * Create a new item in Webflow CMS
+   * Create a single staged item (used when a bulk create fails)
    */
-  async createItem(pressRelease) {
-    this.logger.info(`Creating Webflow item for: ${pressRelease.title}`);
-
-    return retry(async () => {
-      const itemData = {
-        isArchived: false,
-        isDraft: !this.config.webflow.publishImmediately,
-        fieldData: {
-          'name': pressRelease.title,
-          'slug': this.generateUniqueSlug(pressRelease.title, pressRelease.publishDate),
-          'date-2': this.formatDate(pressRelease.publishDate),
-          'pm-body-html': pressRelease.content,
-          'read-more-link': 'https://live.euronext.com/en/listview/company-press-release/62020?page=0'
-        }
-      };
+  async createItem(itemData) {
+    this.logger.info(`Creating item ${itemData.fieldData.slug} (draft: ${itemData.isDraft})`);
 
-      this.logger.info(`Creating item with data:`, {
-        isDraft: itemData.isDraft,
-        title: itemData.fieldData.name,
-        date: itemData.fieldData.date
-      });
+    const response = await this.http.post(
+      `${this.baseUrl}/collections/${this.collectionId}/items`,
+      itemData,
+      {
+        headers: this.headers,
+        timeout: 30000
+      }
+    );
+    return response.data;
+  }
 
-      const response = await axios.post(
-        `${this.baseUrl}/collections/${this.collectionId}/items`,
-        itemData,
-        { 
-          headers: this.headers,
-          timeout: 30000
-        }
-      );
+  /**
+   * Update a single staged item (used when a bulk update fails)
+   */
+  async updateItem(itemId, itemData) {
+    this.logger.info(`Updating Webflow item ${itemId}`);
+
+    const response = await this.http.patch(
+      `${this.baseUrl}/collections/${this.collectionId}/items/${itemId}`,
+      itemData,
+      {
+        headers: this.headers,
+        timeout: 30000
+      }
+    );
+    return response.data;
+  }
+
+  /**
+   * Publish action for a release: the first `webflow.publishing.rules` entry whose `match`
+   * appears in the title (case-insensitive), otherwise the default action
+   */
+  getPublishAction(pressRelease) {
+    const title = (pressRelease.title || '').toLowerCase();
+    const rule = this.publishingRules.find(rule => title.includes(rule.match.toLowerCase()));
+    return rule ? rule.action : this.defaultPublishAction;
+  }
+
+  /**
+   * Build the item createItems sends for a release
+   */
+  buildItemPayload(pressRelease) {
+    return {
+      isArchived: false,
+      isDraft: this.getPublishAction(pressRelease) !== 'publish' || (this.draftIncomplete && !!pressRelease.contentFallback),
+      fieldData: {
+        ...this.buildFieldData(pressRelease),
+        'slug': this.generateUniqueSlug(pressRelease.title, pressRelease.publishDate)
+      }
+    };
+  }
+
+  /**
+   * Build the changes updateItems sends for a release.
+   * `complete` marks an item created with placeholder content, which gets its normal draft state back.
+   */
+  buildUpdatePayload(pressRelease, complete = false) {
+    return {
+      ...(complete ? { isDraft: this.getPublishAction(pressRelease) !== 'publish' } : {}),
+      fieldData: this.buildFieldData(pressRelease)
+    };
+  }
+
+  /**
+   * Describe the items createItems and updateItems would send in their bulk requests, without writing anything.
+   * Attachments are listed instead of uploaded, so bodies still link to the Euronext copies.
+   */
+  async previewItems(pressReleases, updates = []) {
+    const preview = { create: [], update: [], skipped: [] };
+
+    for (const release of pressReleases) {
+      if (await this.itemExists(release)) {
+        preview.skipped.push({ id: release.id, title: release.title, reason: 'item with the same slug exists' });
+        continue;
+      }
+
+      preview.create.push({
+        id: release.id,
+        title: release.title,
+        method: 'POST',
+        url: `${this.baseUrl}/collections/${this.collectionId}/items`,
+        body: this.buildItemPayload(release),
+        publishAction: this.getPublishAction(release),
+        publish: !this.buildItemPayload(release).isDraft,
+        attachments: (release.attachments || []).map(attachment => ({ url: attachment.url, fileName: attachmentFileName(attachment) }))
+      });
+    }
 
-      const createdItem = response.data;
-      this.logger.info(`Successfully created Webflow item:`, {
-        id: createdItem.id,
-        isDraft: createdItem.isDraft,
-        status: 'created'
+    for (const { release, webflowId, complete } of updates) {
+      preview.update.push({
+        id: release.id,
+        title: release.title,
+        method: 'PATCH',
+        url: `${this.baseUrl}/collections/${this.collectionId}/items`,
+        body: { id: webflowId, ...this.buildUpdatePayload(release, complete) },
+        attachments: (release.attachments || []).map(attachment => ({ url: attachment.url, fileName: attachmentFileName(attachment) }))
       });
+    }
+
+    return preview;
+  }
+
+  /**
+   * Map press release attributes onto collection fields
+   */
+  buildFieldData(pressRelease) {
+    const context = {
+      ...pressRelease,
+      release: pressRelease,
+      issuer: this.config.issuer || {},
+      // Lets the mapping tag items created with the placeholder body
+      incomplete: !!pressRelease.contentFallback,
+      readMoreUrl: this.config.webflow.readMoreUrl || `${this.config.euronext.listUrl}?page=0`,
+      now: new Date().toISOString()
+    };
+
+    const fieldData = renderFieldData(this.fieldMapping, context, {
+      date: value => this.formatDate(value),
+      slug: value => this.generateSlug(String(value || ''))
+    });
+
+    const attachmentsConfig = this.config.attachments || {};
+    if (attachmentsConfig.mode === 'field' && attachmentsConfig.field && pressRelease.assets?.length > 0) {
+      fieldData[attachmentsConfig.field] = this.formatAttachmentField(pressRelease.assets);
+    }
+
+    return fieldData;
+  }
+
+  /**
+   * Format uploaded assets for the configured attachment field's type
+   */
+  formatAttachmentField(assets) {
+    const field = this.collectionFields?.find(f => f.slug === this.config.attachments.field);
+    const files = assets.map(asset => ({ fileId: asset.id, url: asset.url, alt: asset.name || null }));
+
+    switch (field?.type) {
+      case 'MultiImage':
+        return files;
+      case 'File':
+      case 'Image':
+        return files[0];
+      case 'RichText':
+        return `<ul>${assets.map(asset => `<li><a href="${asset.url}">${asset.name || asset.fileName}</a></li>`).join('')}</ul>`;
+      default:
+        // Link and plain text fields hold a single URL
+        return assets[0].url;
+    }
+  }
+
+  /**
+   * Upload a file to the site's Webflow assets
+   */
+  async uploadAsset(attachment) {
+    this.logger.info(`Uploading asset: ${attachment.fileName}`);
+
+    // Step 1: register the asset and get pre-signed upload details
+    const response = await this.http.post(
+      `${this.baseUrl}/sites/${this.siteId}/assets`,
+      {
+        fileName: attachment.fileName,
+        fileHash: crypto.createHash('md5').update(attachment.data).digest('hex')
+      },
+      {
+        headers: this.headers,
+        timeout: 30000
+      }
+    );
+
+    const asset = response.data;
 
-      // Publish immediately if configured to do so
-      if (this.config.webflow.publishImmediately && createdItem.id) {
-        await this.publishItem(createdItem.id);
+    // Step 2: upload the file itself to the pre-signed storage URL (not rate limited by Webflow)
+    await retry(() => {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(asset.uploadDetails || {})) {
+        form.append(key, value);
       }
+      form.append('file', new Blob([attachment.data], { type: attachment.contentType }), attachment.fileName);
 
-      return createdItem;
+      return axios.post(asset.uploadUrl, form, { timeout: 120000 });
     }, this.config.webflow.retryAttempts, this.config.webflow.retryDelayMs);
+
+    this.logger.info(`Uploaded asset ${attachment.fileName}: ${asset.hostedUrl || asset.assetUrl}`);
+    return {
+      id: asset.id,
+      url: asset.hostedUrl || asset.assetUrl,
+      name: attachment.name,
+      fileName: attachment.fileName,
+      sourceUrl: attachment.url
+    };
   }
 
   /**
-   * Publish a specific item
+   * Upload downloaded attachments and point the release at the hosted copies
    */
-  async publishItem(itemId) {
-    this.logger.info(`Publishing item: ${itemId}`);
-
-    return retry(async () => {
-      const response = await axios.post(
-        `${this.baseUrl}/collections/${this.collectionId}/items/${itemId}/publish`,
-        {},
-        { 
-          headers: this.headers,
-          timeout: 30000
+  async rehostAttachments(pressRelease) {
+    const attachments = (pressRelease.attachments || []).filter(attachment => attachment.data);
+    if (attachments.length === 0) return pressRelease;
+
+    const assets = [];
+    for (const attachment of attachments) {
+      try {
+        assets.push(await this.uploadAsset(attachment));
+      } catch (error) {
+        this.logger.warn(`Failed to upload attachment ${attachment.fileName}: ${error.message}`);
+      }
+    }
+
+    let content = pressRelease.content;
+    if (this.config.attachments?.mode !== 'field') {
+      // Rewrite links in the body to the Webflow-hosted copies
+      for (const asset of assets) {
+        content = content.split(asset.sourceUrl).join(asset.url);
+      }
+    }
+
+    return { ...pressRelease, content, assets };
+  }
+
+  /**
+   * Verify the field mapping against the collection's fields
+   */
+  async validateFieldMapping() {
+    const collectionInfo = await this.getCollectionInfo();
+    this.collectionFields = collectionInfo.fields || [];
+    const problems = validateFieldMapping(this.fieldMapping, this.collectionFields);
+
+    const attachmentsConfig = this.config.attachments || {};
+    if (attachmentsConfig.enabled && attachmentsConfig.mode === 'field'
+        && !this.collectionFields.some(field => field.slug === attachmentsConfig.field)) {
+      problems.push(`Attachment field "${attachmentsConfig.field}" does not exist in the collection`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid Webflow field mapping for collection ${this.collectionId}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    this.logger.info(`Field mapping verified against collection ${this.collectionId}`);
+    return true;
+  }
+
+  /**
+   * Publish items to the live site, up to 100 per request.
+   * Returns a map of item ID to error message for the items that were not published.
+   */
+  async publishItems(itemIds) {
+    const failures = new Map();
+
+    for (const batch of chunk(itemIds, BATCH_SIZE)) {
+      try {
+        const response = await this.http.post(
+          `${this.baseUrl}/collections/${this.collectionId}/items/publish`,
+          { itemIds: batch },
+          {
+            headers: this.headers,
+            timeout: 30000
+          }
+        );
+
+        const published = new Set(response.data.publishedItemIds || []);
+        const reason = response.data.errors?.length ? response.data.errors.join('; ') : 'not in the published items';
+        for (const itemId of batch) {
+          if (!published.has(itemId)) failures.set(itemId, reason);
         }
-      );
+      } catch (error) {
+        for (const itemId of batch) {
+          failures.set(itemId, error.message);
+        }
+      }
+    }
 
-      this.logger.info(`Successfully published item: ${itemId}`);
-      return response.data;
-    }, this.config.webflow.retryAttempts, this.config.webflow.retryDelayMs);
+    this.logger.info(`Published ${itemIds.length - failures.size} of ${itemIds.length} items`);
+    return failures;
+  }
+
+  /**
+   * Take drafts out of draft and publish them, 100 per request.
+   * Returns a map of item ID to error message for the items that were not published.
+   */
+  async publishDrafts(itemIds) {
+    const failures = new Map();
+    const undrafted = [];
+
+    for (const batch of chunk(itemIds, BATCH_SIZE)) {
+      try {
+        await this.http.patch(
+          `${this.baseUrl}/collections/${this.collectionId}/items`,
+          { items: batch.map(id => ({ id, isDraft: false })) },
+          {
+            headers: this.headers,
+            timeout: 60000
+          }
+        );
+        undrafted.push(...batch);
+      } catch (error) {
+        for (const itemId of batch) {
+          failures.set(itemId, error.message);
+        }
+      }
+    }
+
+    if (undrafted.length > 0) {
+      for (const [itemId, error] of await this.publishItems(undrafted)) {
+        failures.set(itemId, error);
+      }
+    }
+    return failures;
   }
 
   /**
-   * Check if an item already exists by unique release ID (title + date)
+   * Set the release ID field of existing items, 100 per request.
+   * `entries` are { itemId, releaseId }. Returns a map of item ID to error message for the items that failed.
+   */
+  async writeReleaseIds(entries) {
+    const failures = new Map();
+
+    for (const batch of chunk(entries, BATCH_SIZE)) {
+      try {
+        await this.http.patch(
+          `${this.baseUrl}/collections/${this.collectionId}/items`,
+          { items: batch.map(({ itemId, releaseId }) => ({ id: itemId, fieldData: { [this.releaseIdField]: releaseId } })) },
+          {
+            headers: this.headers,
+            timeout: 60000
+          }
+        );
+      } catch (error) {
+        for (const { itemId } of batch) {
+          failures.set(itemId, error.message);
+        }
+      }
+    }
+
+    this.logger.info(`Wrote release IDs to ${entries.length - failures.size} of ${entries.length} items`);
+    return failures;
+  }
+
+  /**
+   * Take items whose release was withdrawn on Euronext off the site, 100 per request.
+   * Live items are unpublished first; then 'archive' archives the item and 'unpublish' turns it back into a draft.
+   * `items` are { id, live } entries. Returns a map of item ID to error message for the items that failed.
+   */
+  async withdrawItems(items, action) {
+    const failures = new Map();
+
+    for (const batch of chunk(items.filter(item => item.live).map(item => item.id), BATCH_SIZE)) {
+      try {
+        await this.http.delete(
+          `${this.baseUrl}/collections/${this.collectionId}/items/live`,
+          {
+            data: { items: batch.map(id => ({ id })) },
+            headers: this.headers,
+            timeout: 60000
+          }
+        );
+      } catch (error) {
+        for (const itemId of batch) {
+          failures.set(itemId, `Unpublish failed: ${error.message}`);
+        }
+      }
+    }
+
+    const change = action === 'archive' ? { isArchived: true } : { isDraft: true };
+    for (const batch of chunk(items.map(item => item.id).filter(id => !failures.has(id)), BATCH_SIZE)) {
+      try {
+        await this.http.patch(
+          `${this.baseUrl}/collections/${this.collectionId}/items`,
+          { items: batch.map(id => ({ id, ...change })) },
+          {
+            headers: this.headers,
+            timeout: 60000
+          }
+        );
+      } catch (error) {
+        for (const itemId of batch) {
+          failures.set(itemId, error.message);
+        }
+      }
+    }
+
+    this.logger.info(`Withdrew ${items.length - failures.size} of ${items.length} items (${action})`);
+    return failures;
+  }
+
+  /**
+   * Publish the items of create/update results, recording failures per release in `publishErrors`
+   */
+  async publishResults(entries, results) {
+    const toPublish = entries.filter(({ webflowItem }) => !webflowItem.isDraft);
+    if (toPublish.length === 0) return;
+
+    const failures = await this.publishItems(toPublish.map(({ webflowItem }) => webflowItem.id));
+    for (const { release, webflowItem } of toPublish) {
+      if (failures.has(webflowItem.id)) {
+        this.logger.error(`Failed to publish item ${webflowItem.id} for ${release.title}: ${failures.get(webflowItem.id)}`);
+        results.publishErrors.push({ release, itemId: webflowItem.id, error: `Publish failed: ${failures.get(webflowItem.id)}` });
+      }
+    }
+  }
+
+  /**
+   * Check if an item already exists, by source release ID (with `webflow.releaseIdField`)
+   * or by the unique title + date slug. Throws when the collection cannot be read,
+   * so a failed lookup never leads to a duplicate create.
    */
   async itemExists(pressRelease) {
-    try {
-      const response = await axios.get(
+    const index = await this.getItemIndex();
+
+    if (index.releaseIds.has(pressRelease.id)) {
+      this.logger.info(`Found existing item for release ID ${pressRelease.id}: ${pressRelease.title}`);
+      return true;
+    }
+
+    // Generate unique slug using title + date to handle duplicate titles on different dates
+    const uniqueSlug = this.generateUniqueSlug(pressRelease.title, pressRelease.publishDate);
+    if (index.slugs.has(uniqueSlug)) {
+      this.logger.info(`Found existing item with same title and date: ${pressRelease.title}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Slugs and source release IDs of every item in the collection.
+   * Loaded on first use and kept, with created items added, until clearItemIndex().
+   */
+  async getItemIndex() {
+    if (!this.itemIndex) {
+      this.itemIndex = await this.loadItemIndex();
+    }
+    return this.itemIndex;
+  }
+
+  /**
+   * Drop the cached item index; the automation calls this at the start of every run
+   */
+  clearItemIndex() {
+    this.itemIndex = null;
+  }
+
+  /**
+   * Read the whole collection page by page (100 items per request)
+   */
+  async loadItemIndex() {
+    const index = { slugs: new Set(), releaseIds: new Set() };
+    const pageSize = 100;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const response = await this.http.get(
         `${this.baseUrl}/collections/${this.collectionId}/items`,
         {
           headers: this.headers,
+          params: { offset, limit: pageSize },
           timeout: 30000
         }
       );
 
-      // Generate unique slug using title + date to handle duplicate titles on different dates
-      const uniqueSlug = this.generateUniqueSlug(pressRelease.title, pressRelease.publishDate);
-      const existingItem = response.data.items?.find(item => 
-        item.fieldData?.slug === uniqueSlug
-      );
-
-      if (existingItem) {
-        this.logger.info(`Found existing item with same title and date: ${pressRelease.title}`);
+      const items = response.data.items || [];
+      for (const item of items) {
+        this.addToItemIndex(index, item);
       }
 
-      return !!existingItem;
-    } catch (error) {
-      this.logger.warn(`Error checking if item exists: ${error.message}`);
-      return false;
+      const total = response.data.pagination?.total ?? Infinity;
+      if (items.length < pageSize || offset + items.length >= total) break;
     }
+
+    this.logger.info(`Loaded ${index.slugs.size} existing items from collection ${this.collectionId}`);
+    return index;
+  }
+
+  /**
+   * Record an item's slug and source release ID in the index
+   */
+  addToItemIndex(index, item) {
+    if (item.fieldData?.slug) index.slugs.add(item.fieldData.slug);
+
+    const releaseId = this.releaseIdField && item.fieldData?.[this.releaseIdField];
+    if (releaseId) index.releaseIds.add(releaseId);
   }
 
   /**
@@ -127,7 +557,7 @@ export class WebflowClient {
    */
   async getCollectionInfo() {
     try {
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/collections/${this.collectionId}`,
         {
           headers: this.headers,
@@ -143,6 +573,20 @@ export class WebflowClient {
     }
   }
 
+  /**
+   * Get a single collection item
+   */
+  async getItem(itemId) {
+    const response = await this.http.get(
+      `${this.baseUrl}/collections/${this.collectionId}/items/${itemId}`,
+      {
+        headers: this.headers,
+        timeout: 30000
+      }
+    );
+    return response.data;
+  }
+
   /**
    * Test connection to Webflow API
    */
@@ -207,17 +651,9 @@ export class WebflowClient {
    * Generate unique slug using title + date to handle duplicate titles
    */
   generateUniqueSlug(title, publishDate) {
-    // Extract date portion for uniqueness
-    let datePart = '';
-    try {
-      const date = new Date(publishDate);
-      if (!isNaN(date.getTime())) {
-        datePart = `-${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-      }
-    } catch (error) {
-      // Fallback to timestamp if date parsing fails
-      datePart = `-${Date.now()}`;
-    }
+    // Date portion for uniqueness; Euronext dates ("27 Jun 2025\n07:45 CEST") need the release date parser
+    const dateKey = parseReleaseDateKey(publishDate);
+    const datePart = dateKey ? `-${dateKey}` : '';
 
     const baseSlug = this.generateSlug(title);
     const uniqueSlug = (baseSlug + datePart).substring(0, 100);
@@ -227,48 +663,197 @@ export class WebflowClient {
   }
 
   /**
-   * Bulk create items with duplicate checking
+   * Create items with duplicate checking, 100 per request, then publish those whose action is 'publish'.
+   * Returns per-release results; `publishErrors` lists created items that could not be published.
    */
   async createItems(pressReleases) {
     const results = {
       created: [],
       skipped: [],
-      errors: []
+      errors: [],
+      publishErrors: []
     };
+    const pending = [];
 
     for (const release of pressReleases) {
-      try {
-        this.logger.info(`Processing release: ${release.title} (ID: ${release.id})`);
-        
-        // Check if item already exists
-        const exists = await this.itemExists(release);
-        if (exists) {
-          this.logger.info(`Skipping existing item: ${release.title}`);
-          results.skipped.push(release);
-          continue;
+      await withLogContext({ releaseId: release.id }, async () => {
+        try {
+          this.logger.info(`Processing release: ${release.title} (ID: ${release.id})`);
+
+          // Check if item already exists
+          const exists = await this.itemExists(release);
+          if (exists) {
+            this.logger.info(`Skipping existing item: ${release.title}`);
+            results.skipped.push(release);
+            return;
+          }
+
+          // Upload attachments once, before any create attempt
+          const pressRelease = await this.rehostAttachments(release);
+          pending.push({ release, itemData: this.buildItemPayload(pressRelease) });
+        } catch (error) {
+          this.logger.error(`Failed to prepare item for ${release.title}:`, error.message);
+          results.errors.push({
+            release,
+            error: error.message
+          });
         }
+      });
+    }
 
-        // Create new item
-        const createdItem = await this.createItem(release);
-        results.created.push({
-          release,
-          webflowItem: createdItem
-        });
+    for (const batch of chunk(pending, BATCH_SIZE)) {
+      await this.createItemBatch(batch, results);
+    }
 
-        // Add delay between requests to avoid rate limiting (Webflow allows 60 requests/minute)
-        await new Promise(resolve => setTimeout(resolve, 2000)); // 2 seconds = max 30 requests/minute
+    // Only items created live are published here (drafts and placeholder content are not)
+    await this.publishResults(results.created, results);
 
-      } catch (error) {
-        this.logger.error(`Failed to create item for ${release.title}:`, error.message);
-        this.logger.error(`Error details:`, error.response?.data || error.stack);
-        results.errors.push({
-          release,
-          error: error.message
+    metrics.itemsCreated.inc({ issuer: this.issuerId }, results.created.length);
+    metrics.itemsSkipped.inc({ issuer: this.issuerId }, results.skipped.length);
+    metrics.itemErrors.inc({ issuer: this.issuerId, operation: 'create' }, results.errors.length);
+
+    this.logger.info(`Bulk creation results: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors, ${results.publishErrors.length} not published`);
+    return results;
+  }
+
+  /**
+   * Create a batch of staged items in one request. When the request fails the items are
+   * created one by one, so an invalid item only fails its own release.
+   */
+  async createItemBatch(batch, results) {
+    try {
+      const response = await this.http.post(
+        `${this.baseUrl}/collections/${this.collectionId}/items`,
+        { items: batch.map(({ itemData }) => itemData) },
+        {
+          headers: this.headers,
+          timeout: 60000
+        }
+      );
+
+      // Created items come back in request order; slugs may repeat, so they cannot be used to match
+      const createdItems = response.data.items || [];
+      batch.forEach(({ release }, i) => {
+        const createdItem = createdItems[i];
+        if (createdItem) {
+          if (this.itemIndex) this.addToItemIndex(this.itemIndex, createdItem);
+          results.created.push({ release, webflowItem: createdItem, publishAction: this.getPublishAction(release) });
+        } else {
+          results.errors.push({ release, error: 'Item missing from the bulk create response' });
+        }
+      });
+      this.logger.info(`Created ${createdItems.length} items in one request`);
+    } catch (error) {
+      this.logger.warn(`Bulk create of ${batch.length} items failed (${error.message}), creating them one by one`);
+      // The failed request may have been partly applied, so check for duplicates again
+      this.clearItemIndex();
+
+      for (const { release, itemData } of batch) {
+        await withLogContext({ releaseId: release.id }, async () => {
+          try {
+            if (await this.itemExists(release)) {
+              results.skipped.push(release);
+              return;
+            }
+
+            const createdItem = await this.createItem(itemData);
+            if (this.itemIndex) this.addToItemIndex(this.itemIndex, createdItem);
+            results.created.push({ release, webflowItem: createdItem, publishAction: this.getPublishAction(release) });
+          } catch (itemError) {
+            this.logger.error(`Failed to create item for ${release.title}:`, itemError.message);
+            this.logger.error(`Error details:`, itemError.response?.data || itemError.stack);
+            results.errors.push({
+              release,
+              error: itemError.message
+            });
+          }
         });
       }
     }
+  }
 
-    this.logger.info(`Bulk creation results: ${results.created.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`);
+  /**
+   * Update items whose source release was corrected on Euronext, 100 per request,
+   * and re-publish the live ones so the correction reaches the site. Items whose action
+   * is 'hold' are left for an editor to publish.
+   */
+  async updateItems(updates) {
+    const results = {
+      updated: [],
+      errors: [],
+      publishErrors: []
+    };
+    const pending = [];
+
+    for (const { release, webflowId, complete } of updates) {
+      await withLogContext({ releaseId: release.id }, async () => {
+        try {
+          const pressRelease = await this.rehostAttachments(release);
+          pending.push({ release, itemId: webflowId, itemData: this.buildUpdatePayload(pressRelease, complete) });
+        } catch (error) {
+          this.logger.error(`Failed to prepare update for ${release.title}:`, error.message);
+          results.errors.push({
+            release,
+            error: error.message
+          });
+        }
+      });
+    }
+
+    for (const batch of chunk(pending, BATCH_SIZE)) {
+      await this.updateItemBatch(batch, results);
+    }
+
+    await this.publishResults(results.updated.filter(({ publishAction }) => publishAction !== 'hold'), results);
+
+    metrics.itemsUpdated.inc({ issuer: this.issuerId }, results.updated.length);
+    metrics.itemErrors.inc({ issuer: this.issuerId, operation: 'update' }, results.errors.length);
+
+    this.logger.info(`Bulk update results: ${results.updated.length} updated, ${results.errors.length} errors, ${results.publishErrors.length} not published`);
     return results;
   }
-}
\ No newline at end of file
+
+  /**
+   * Update a batch of staged items in one request, falling back to one request per item
+   */
+  async updateItemBatch(batch, results) {
+    try {
+      const response = await this.http.patch(
+        `${this.baseUrl}/collections/${this.collectionId}/items`,
+        { items: batch.map(({ itemId, itemData }) => ({ id: itemId, ...itemData })) },
+        {
+          headers: this.headers,
+          timeout: 60000
+        }
+      );
+
+      const itemsById = new Map((response.data.items || []).map(item => [item.id, item]));
+      for (const { release, itemId } of batch) {
+        const updatedItem = itemsById.get(itemId);
+        if (updatedItem) {
+          results.updated.push({ release, webflowItem: updatedItem, publishAction: this.getPublishAction(release) });
+        } else {
+          results.errors.push({ release, error: 'Item missing from the bulk update response' });
+        }
+      }
+      this.logger.info(`Updated ${itemsById.size} items in one request`);
+    } catch (error) {
+      this.logger.warn(`Bulk update of ${batch.length} items failed (${error.message}), updating them one by one`);
+
+      for (const { release, itemId, itemData } of batch) {
+        await withLogContext({ releaseId: release.id }, async () => {
+          try {
+            results.updated.push({ release, webflowItem: await this.updateItem(itemId, itemData), publishAction: this.getPublishAction(release) });
+          } catch (itemError) {
+            this.logger.error(`Failed to update item for ${release.title}:`, itemError.message);
+            this.logger.error(`Error details:`, itemError.response?.data || itemError.stack);
+            results.errors.push({
+              release,
+              error: itemError.message
+            });
+          }
+        });
+      }
+    }
+  }
+}
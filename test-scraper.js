@@ -1,10 +1,12 @@
 #!/usr/bin/env node
 import { EuronextScraper } from './src/scraper.js';
 import { WebflowClient } from './src/webflow.js';
+import { resolveIssuers, buildIssuerConfig } from './src/utils.js';
 import { readFileSync } from 'fs';
 
-// Load configuration
-const config = JSON.parse(readFileSync('./config/schedule.json', 'utf8'));
+// Load configuration for the first configured issuer
+const rawConfig = JSON.parse(readFileSync('./config/schedule.json', 'utf8'));
+const config = buildIssuerConfig(rawConfig, resolveIssuers(rawConfig)[0]);
 
 async function testScraper() {
   console.log('🚀 Starting test scraper...');
@@ -17,6 +19,7 @@ async function testScraper() {
     // Get latest releases (get 7 to find one that hasn't been uploaded yet)
     console.log('📡 Fetching latest releases...');
     const releases = await scraper.getLatestReleases(7);
+    await scraper.close();
     
     if (releases.length === 0) {
       console.log('❌ No releases found (likely outside date range or no new releases)');